@@ -0,0 +1,374 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import VError from 'verror';
+import zlib from 'zlib';
+import tarfs from 'tar-fs';
+const tar = require('tar-stream');
+const gunzip = require('gunzip-maybe');
+const crypto = require('crypto');
+const fs = require('fs');
+const fse = require('fs-extra');
+const path = require('path');
+const mkdirp = require('mkdirp');
+const promisify = require('es6-promisify');
+
+function bufferStream(buffer) {
+	const Readable = require('stream').Readable;
+	const read = new Readable;
+	read._read = () => {
+		read.push(buffer);
+		read.push(null);
+	};
+	return read;
+}
+
+/**
+ * Raised when an archive entry cannot be extracted safely, such as an entry outside the target directory, a link,
+ * or an entry that exceeds the extraction limits.
+ */
+export class UnsafeArchiveError extends VError {
+	/**
+	 * @param {string} entry The name of the entry in the archive.
+	 * @param {Array} others Additional arguments passed to VError, describing the problem.
+	 */
+	constructor(entry, ...others) {
+		super(...others);
+		this.entry = entry;
+		this.name = 'UnsafeArchiveError';
+	}
+}
+
+/**
+ * Raised when a library is installed into a directory that already contains files, and replacing it was not
+ * requested.
+ */
+export class DirectoryExistsError extends VError {
+	/**
+	 * @param {string} directory The directory that already exists.
+	 * @param {Array} others Additional arguments passed to VError.
+	 */
+	constructor(directory, ...others) {
+		super(...others, 'directory "%s" already exists', directory);
+		this.directory = directory;
+		this.name = 'DirectoryExistsError';
+	}
+}
+
+/**
+ * Raised when a library archive does not match its expected checksum.
+ */
+export class ArchiveIntegrityError extends VError {
+	/**
+	 * @param {string} library The name of the library the archive is for.
+	 * @param {string} expected The expected SHA-256 checksum, in hex.
+	 * @param {string} actual The SHA-256 checksum of the archive, in hex.
+	 * @param {Array} others Additional arguments passed to VError.
+	 */
+	constructor(library, expected, actual, ...others) {
+		super(...others, 'archive for library \'%s\' does not match its sha256 checksum: expected %s, got %s',
+			library, expected, actual);
+		this.library = library;
+		this.expected = expected;
+		this.actual = actual;
+		this.name = 'ArchiveIntegrityError';
+	}
+}
+
+/**
+ * Computes the checksum of a library archive.
+ * @param {Buffer} buffer The archive content.
+ * @returns {string} The SHA-256 checksum, in hex.
+ */
+export function archiveChecksum(buffer) {
+	return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Verifies a library archive against its expected checksum, before it is extracted.
+ * @param {Buffer} buffer The archive content.
+ * @param {string} sha256 The expected SHA-256 checksum in hex, optionally prefixed with `sha256:`. When not given,
+ * the archive is not verified.
+ * @param {string} library The name of the library the archive is for.
+ * @returns {Buffer} The archive content, or an `ArchiveIntegrityError` is thrown when the archive does not match.
+ */
+export function verifyArchive(buffer, sha256, library) {
+	if (sha256) {
+		const expected = sha256.replace(/^sha256:/, '').toLowerCase();
+		const actual = archiveChecksum(buffer);
+		if (actual !== expected) {
+			throw new ArchiveIntegrityError(library, expected, actual);
+		}
+	}
+	return buffer;
+}
+
+// library archives are small, so these limits are generous
+const defaultMaxSize = 100 * 1024 * 1024;
+const defaultMaxFiles = 10000;
+
+/**
+ * Determines the location of an archive entry in the target directory.
+ * @param {string} dir The target directory.
+ * @param {string} name The name of the entry.
+ * @returns {string} The path of the entry, or undefined if the entry is outside the target directory.
+ */
+function entryPath(dir, name) {
+	if (path.posix.isAbsolute(name) || path.win32.isAbsolute(name) || name.split(/[\\/]/).includes('..')) {
+		return undefined;
+	}
+	const root = path.resolve(dir);
+	const target = path.resolve(root, name);
+	const relative = path.relative(root, target);
+	return relative.startsWith('..') || path.isAbsolute(relative) ? undefined : target;
+}
+
+/**
+ * Extracts a library archive, such as the tar.gz archives served by the library api, into a directory.
+ * Only files and directories are extracted. Since archives may come from untrusted sources, entries that are
+ * symlinks or hardlinks, or that would be written outside the directory, are refused, as are archives that exceed
+ * the size or file limits. Other entries, such as the global header written by `git archive`, are skipped.
+ * @param {Buffer} buffer The archive content, either gzipped or not.
+ * @param {string} dir The directory to extract the archive to.
+ * @param {Number} maxSize The maximum total size of the extracted files, in bytes.
+ * @param {Number} maxFiles The maximum number of files to extract.
+ * @param {function} onEntry Called with the name of each file once it is extracted, and the number of files
+ * extracted so far.
+ * @returns {Promise.<Number>} The number of files extracted. The promise is rejected with an `UnsafeArchiveError`
+ * naming the entry when an entry is refused.
+ */
+export function extractArchive(buffer, dir, { maxSize = defaultMaxSize, maxFiles = defaultMaxFiles, onEntry } = {}) {
+	const read = bufferStream(buffer);
+	return new Promise((fulfill, reject) => {
+		const extract = tar.extract();
+		let size = 0;
+		let files = 0;
+		let failed = false;
+
+		function fail(error) {
+			if (!failed) {
+				failed = true;
+				reject(error);
+				read.unpipe();
+				extract.destroy();
+			}
+		}
+
+		// for some reason this function doesn't get tracked for coverage
+		/* istanbul ignore next */
+		function handleEntry(header, stream, callback) {
+			function createDir(dir, callback) {
+				mkdirp(dir, (err) => {
+					if (err) {
+						fail(err);
+					} else {
+						callback();
+					}
+				});
+			}
+
+			// header is the tar header
+			// stream is the content body (might be an empty stream)
+			// call next when you are done with this entry
+			const name = header.name;
+			const fqname = entryPath(dir, name);
+
+			if (header.type === 'symlink' || header.type === 'link') {
+				fail(new UnsafeArchiveError(name, 'archive entry "%s" is a link', name));
+			} else if (header.type !== 'directory' && header.type !== 'file') {
+				stream.resume();
+				callback();
+			} else if (fqname === undefined) {
+				fail(new UnsafeArchiveError(name, 'archive entry "%s" is outside the target directory', name));
+			} else if (header.type === 'directory') {
+				createDir(fqname, callback);
+			} else if (++files > maxFiles) {
+				fail(new UnsafeArchiveError(name, 'archive entry "%s" exceeds the limit of %d files', name, maxFiles));
+			} else if ((size += header.size) > maxSize) {
+				fail(new UnsafeArchiveError(name, 'archive entry "%s" exceeds the size limit of %d bytes', name, maxSize));
+			} else {
+				createDir(path.dirname(fqname), () => {
+					const write = fs.createWriteStream(fqname);
+					// listen before the file is opened, since opening fails when an earlier entry made it a directory
+					write.on('error', (error) => {
+						fail(new UnsafeArchiveError(name, error, 'unable to write archive entry "%s"', name));
+					});
+					write.on('open', () => {
+						// the file is complete once written, which may be after the entry stream ends
+						write.on('finish', () => {
+							if (onEntry) {
+								onEntry(name, files);
+							}
+							callback();     // ready for next entry
+						});
+						stream.pipe(write);
+					});
+				});
+			}
+		}
+
+		extract.on('entry', handleEntry);
+		extract.on('finish', () => {
+			if (!failed) {
+				fulfill(files);
+			}
+		});
+		extract.on('error', fail);
+		const unzip = gunzip();
+		unzip.on('error', fail);
+		read.pipe(unzip).pipe(extract);
+	});
+}
+
+let tempCounter = 0;
+
+/**
+ * Determines whether a directory is missing, empty or has content.
+ * @param {string} dir The directory to check.
+ * @returns {Promise.<string>} `'missing'`, `'empty'` or `'content'`.
+ */
+function directoryState(dir) {
+	return promisify(fs.readdir)(dir)
+		.then(files => files.length ? 'content' : 'empty', error => {
+			if (error.code === 'ENOENT') {
+				return 'missing';
+			}
+			throw error;
+		});
+}
+
+/**
+ * Extracts a library archive into a directory atomically. The archive is extracted into a temporary directory
+ * next to the target, which is then renamed to the target, so an extraction that fails or is interrupted never
+ * leaves a partial library behind. An empty target directory is replaced. A target directory with content is
+ * replaced only when `replace` is set; the previous content is restored if the rename fails.
+ * @param {Buffer} buffer The archive content, either gzipped or not.
+ * @param {string} dir The directory to extract the archive to.
+ * @param {object} options The options for `extractArchive()`, and `replace`. When `replace` is true, an existing
+ * directory is replaced, otherwise a `DirectoryExistsError` is raised.
+ * @returns {Promise.<Number>} The number of files extracted.
+ */
+export function installArchive(buffer, dir, options = {}) {
+	const replace = options.replace;
+	const target = path.resolve(dir);
+	const prefix = path.join(path.dirname(target), `.${path.basename(target)}.${process.pid}.${tempCounter++}`);
+	const temp = `${prefix}.tmp`;
+	const backup = `${prefix}.old`;
+	let backedUp = false;
+	let files;
+
+	function checkTarget() {
+		return directoryState(target).then(state => {
+			if (state === 'content' && !replace) {
+				throw new DirectoryExistsError(target);
+			}
+			return state;
+		});
+	}
+
+	// the target is checked before extracting, to fail early, and again before renaming
+	return checkTarget()
+		.then(() => promisify(mkdirp)(temp))
+		.then(() => extractArchive(buffer, temp, options))
+		.then(extracted => {
+			files = extracted;
+			return checkTarget();
+		})
+		.then(state => {
+			if (state === 'empty') {
+				return promisify(fs.rmdir)(target);
+			}
+			if (state === 'content') {
+				return promisify(fs.rename)(target, backup).then(() => {
+					backedUp = true;
+				});
+			}
+		})
+		.then(() => promisify(fs.rename)(temp, target))
+		.catch(error => promisify(fse.remove)(temp)
+			.then(() => backedUp && promisify(fs.rename)(backup, target))
+			.then(() => {
+				throw error;
+			}))
+		.then(() => backedUp && promisify(fse.remove)(backup))
+		.then(() => files);
+}
+
+/**
+ * Creates a tar.gz archive of a directory, in the same format used to contribute libraries.
+ * @param {string} dir The directory to archive.
+ * @returns {Promise.<Buffer>} The archive content.
+ */
+export function createArchive(dir) {
+	return new Promise((fulfill, reject) => {
+		const chunks = [];
+		const gzip = zlib.createGzip();
+		gzip.on('data', chunk => chunks.push(chunk));
+		gzip.on('end', () => fulfill(Buffer.concat(chunks)));
+		gzip.on('error', reject);
+		const pack = tarfs.pack(dir, { readable: true });
+		pack.on('error', reject);
+		pack.pipe(gzip);
+	});
+}
+
+/**
+ * Reads a library archive from a file and extracts it into a directory.
+ * @param {string} file The archive file.
+ * @param {string} dir The directory to extract the archive to.
+ * @param {object} options The extraction limits, as for `extractArchive()`.
+ * @returns {Promise} to extract the archive.
+ */
+export function extractArchiveFile(file, dir, options) {
+	return promisify(mkdirp)(dir)
+		.then(() => promisify(fs.readFile)(file))
+		.then(buffer => extractArchive(buffer, dir, options));
+}
+
+/**
+ * Reads a single file from a library archive.
+ * @param {Buffer} buffer The archive content, either gzipped or not.
+ * @param {string} name The path of the file in the archive, such as `library.properties`.
+ * @returns {Promise.<Buffer>} The file content, or `undefined` when the archive doesn't contain the file.
+ */
+export function readArchiveEntry(buffer, name) {
+	const read = bufferStream(buffer);
+	return new Promise((fulfill, reject) => {
+		const extract = tar.extract();
+		let content;
+		extract.on('entry', (header, stream, callback) => {
+			if (header.type === 'file' && path.posix.normalize(header.name) === name) {
+				const chunks = [];
+				stream.on('data', chunk => chunks.push(chunk));
+				stream.on('end', () => {
+					content = Buffer.concat(chunks);
+					callback();
+				});
+			} else {
+				stream.on('end', callback);
+				stream.resume();
+			}
+		});
+		extract.on('finish', () => fulfill(content));
+		extract.on('error', reject);
+		const unzip = gunzip();
+		unzip.on('error', reject);
+		read.pipe(unzip).pipe(extract);
+	});
+}
@@ -0,0 +1,186 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+function escape(s) {
+	return String(s).replace(/["\\]/g, '\\$&');
+}
+
+function quote(s) {
+	return `"${escape(s)}"`;
+}
+
+/**
+ * The graph of dependencies resolved for a set of roots. Each node is a requirement on a library at a
+ * given version or range, and each edge points from a library to a requirement it declares.
+ */
+export class DependencyGraph {
+	constructor() {
+		this.roots = [];
+		this.nodes = [];
+		this.edges = [];
+		this.nodesById = {};
+	}
+
+	/**
+	 * Adds a node to the graph.
+	 * @param {string} id       Uniquely identifies the requirement, e.g. `name@range`.
+	 * @param {object} node     The `name` of the library, the `range` requested, the `version` chosen (`undefined` if
+	 * there is a conflict), the `repository` the library came from and `conflict`, which is true when no version of
+	 * the library satisfies all requirements on it.
+	 * @param {boolean} root    true if the node is one of the roots of the graph.
+	 * @returns {object} the node added.
+	 */
+	addNode(id, { name, range, version, repository, conflict = false }, root = false) {
+		const node = { id, name, range, version, repository, conflict, cycle: false };
+		this.nodes.push(node);
+		this.nodesById[id] = node;
+		if (root) {
+			this.roots.push(id);
+		}
+		return node;
+	}
+
+	/**
+	 * Adds an edge to the graph.
+	 * @param {string} from The id of the node that declares the requirement.
+	 * @param {string} to   The id of the node that is required.
+	 * @returns {object} the edge added.
+	 */
+	addEdge(from, to) {
+		const edge = { from, to, cycle: false };
+		this.edges.push(edge);
+		return edge;
+	}
+
+	node(id) {
+		return this.nodesById[id];
+	}
+
+	/**
+	 * @param {string} id The id of the node.
+	 * @returns {Array<object>} The edges leading from the node.
+	 */
+	edgesFrom(id) {
+		return this.edges.filter(edge => edge.from === id);
+	}
+
+	/**
+	 * Marks the edges that close a cycle, and the nodes on each cycle. Edges are walked depth first from the roots.
+	 * @returns {DependencyGraph} this graph.
+	 */
+	markCycles() {
+		const visited = {};
+		const path = [];
+		const walk = (id) => {
+			visited[id] = true;
+			path.push(id);
+			for (const edge of this.edgesFrom(id)) {
+				const index = path.indexOf(edge.to);
+				if (index >= 0) {
+					edge.cycle = true;
+					path.slice(index).forEach(member => {
+						this.node(member).cycle = true;
+					});
+				} else if (!visited[edge.to]) {
+					walk(edge.to);
+				}
+			}
+			path.pop();
+		};
+		this.roots.forEach(walk);
+		return this;
+	}
+
+	/**
+	 * @returns {object} a machine-readable description of the graph with `roots`, `nodes` and `edges` properties.
+	 */
+	toJSON() {
+		return {
+			roots: this.roots.slice(),
+			nodes: this.nodes.map(node => Object.assign({}, node)),
+			edges: this.edges.map(edge => Object.assign({}, edge))
+		};
+	}
+
+	/**
+	 * Renders the graph in the Graphviz DOT language. Conflicting libraries and the edges closing a cycle are
+	 * drawn in red.
+	 * @returns {string} the DOT source.
+	 */
+	toDot() {
+		const lines = ['digraph dependencies {'];
+		for (const node of this.nodes) {
+			const label = [node.name, `${node.range} -> ${node.version || '?'}`, node.repository || ''].map(escape);
+			const attributes = [`label="${label.join('\\n')}"`];
+			if (node.conflict) {
+				attributes.push('color=red', 'fontcolor=red');
+			} else if (node.cycle) {
+				attributes.push('color=orange');
+			}
+			lines.push(`\t${quote(node.id)} [${attributes.join(', ')}];`);
+		}
+		for (const edge of this.edges) {
+			const attributes = edge.cycle ? ' [color=red, style=dashed, label="cycle"]' : '';
+			lines.push(`\t${quote(edge.from)} -> ${quote(edge.to)}${attributes};`);
+		}
+		lines.push('}');
+		return lines.join('\n') + '\n';
+	}
+
+	/**
+	 * Renders the graph as an indented tree, similar to `npm ls`. Requirements that close a cycle, and those already
+	 * shown earlier in the tree, are not expanded again.
+	 * @returns {string} the tree.
+	 */
+	toTree() {
+		const lines = [];
+		const shown = {};
+		const describe = (node) => {
+			let text = `${node.name}@${node.version || '?'} (${node.range})`;
+			if (node.repository) {
+				text += ` [${node.repository}]`;
+			}
+			if (node.conflict) {
+				text += ' CONFLICT';
+			}
+			return text;
+		};
+		const walk = (ids, prefix, ancestors) => {
+			ids.forEach((id, index) => {
+				const last = index === ids.length - 1;
+				const node = this.node(id);
+				let text = describe(node);
+				const expand = !ancestors.includes(id) && !shown[id];
+				if (ancestors.includes(id)) {
+					text += ' CYCLE';
+				} else if (shown[id]) {
+					text += ' deduped';
+				}
+				lines.push(`${prefix}${last ? '`-- ' : '+-- '}${text}`);
+				if (expand) {
+					shown[id] = true;
+					const children = this.edgesFrom(id).map(edge => edge.to);
+					walk(children, prefix + (last ? '    ' : '|   '), ancestors.concat([id]));
+				}
+			});
+		};
+		walk(this.roots, '', []);
+		return lines.join('\n') + '\n';
+	}
+}
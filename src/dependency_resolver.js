@@ -1,57 +1,422 @@
+import VError from 'verror';
+import { DependencyGraph } from './dependency_graph';
+const semver = require('semver');
 
-//const semver = require('semver');
+const dependencyPrefix = 'dependencies.';
 
+/**
+ * A requirement on a named library at a given version.
+ */
 export class Dependency {
-	constructor(name, version) {
+	/**
+	 * @param {string} name The name of the library depended upon.
+	 * @param {string} version The version of the library required.
+	 * @param {Dependency} requiredBy The dependency that declared this one. `undefined` for root dependencies.
+	 */
+	constructor(name, version, requiredBy) {
 		this.name = name;
 		this.version = version;
+		this.requiredBy = requiredBy;
 	}
+
+	/**
+	 * @returns {string} an identifier for the library and version required.
+	 */
+	get id() {
+		return `${this.name}@${this.version}`;
+	}
+
+	/**
+	 * @returns {Array<Dependency>} the chain of dependencies from a root dependency to this one.
+	 */
+	path() {
+		return this.requiredBy ? this.requiredBy.path().concat([this]) : [this];
+	}
+
+	/**
+	 * @returns {Number} the number of dependencies between this one and its root. Root dependencies have depth 0.
+	 */
+	get depth() {
+		return this.path().length - 1;
+	}
+}
+
+/**
+ * Describes the origin of a dependency for use in error messages.
+ * @param {Dependency} dependency The dependency to describe.
+ * @returns {string} the library that required the dependency, or 'the project' for root dependencies.
+ */
+function requester(dependency) {
+	return dependency.requiredBy ? dependency.requiredBy.id : 'the project';
 }
 
+/**
+ * Raised when no single version of a library satisfies all the versions required of it.
+ */
+export class DependencyConflictError extends VError {
+	/**
+	 * @param {string} library The name of the library with conflicting requirements.
+	 * @param {Array<Dependency>} dependencies The competing requirements on the library.
+	 * @param {Array} others Additional arguments passed to VError.
+	 */
+	constructor(library, dependencies, ...others) {
+		const requirements = dependencies.map(dep => `'${dep.version}' required by ${requester(dep)}`);
+		super(...others, '%s', `no version of library '${library}' satisfies ${requirements.join(', ')}`);
+		this.library = library;
+		this.requirements = dependencies.map(dep => ({ version: dep.version, requiredBy: dep.requiredBy }));
+		this.name = 'DependencyConflictError';
+	}
+}
+
+/**
+ * Raised when libraries depend upon each other, directly or through a chain of dependencies.
+ */
+export class DependencyCycleError extends VError {
+	/**
+	 * @param {Array<string>} path The ids of the dependencies on the cycle, starting and ending with the same id.
+	 * @param {Array} others Additional arguments passed to VError.
+	 */
+	constructor(path, ...others) {
+		super(...others, `dependency cycle ${path.join(' -> ')}`);
+		this.path = path;
+		this.name = 'DependencyCycleError';
+	}
+}
+
+/**
+ * Raised when a dependency is nested more deeply below the roots than allowed.
+ */
+export class DependencyDepthError extends VError {
+	/**
+	 * @param {Dependency} dependency The dependency beyond the maximum depth.
+	 * @param {Number} maxDepth The maximum depth allowed.
+	 * @param {Array} others Additional arguments passed to VError.
+	 */
+	constructor(dependency, maxDepth, ...others) {
+		const path = dependency.path().map(dep => dep.id);
+		super(...others, `dependency ${path.join(' -> ')} exceeds the maximum depth of ${maxDepth}`);
+		this.path = path;
+		this.maxDepth = maxDepth;
+		this.name = 'DependencyDepthError';
+	}
+}
+
+/**
+ * Finds the cycles in a graph, walking it depth first from the roots.
+ * @param {Array<string>} roots The ids of the nodes to start from.
+ * @param {object} edges Maps the id of each node to the ids of the nodes it depends upon.
+ * @returns {Array<Array<string>>} The path of each cycle found, starting and ending with the same id.
+ */
+export function findCycles(roots, edges) {
+	const cycles = [];
+	const visited = {};
+	const path = [];
+	function walk(id) {
+		visited[id] = true;
+		path.push(id);
+		for (const next of edges[id] || []) {
+			const index = path.indexOf(next);
+			if (index >= 0) {
+				cycles.push(path.slice(index).concat([next]));
+			} else if (!visited[next]) {
+				walk(next);
+			}
+		}
+		path.pop();
+	}
+	roots.filter(root => !visited[root]).forEach(walk);
+	return cycles;
+}
+
+/**
+ * Determines if a library version satisfies a required version or range.
+ * @param {string} version The version of the library.
+ * @param {string} range The version or semver range required.
+ * @returns {boolean} true if the version satisfies the range.
+ */
+export function satisfiesVersion(version, range) {
+	return version === range || (semver.valid(version) !== null && semver.satisfies(version, range));
+}
+
+/**
+ * Extracts the dependencies declared in a library definition. These may be given as an array of
+ * `Dependency`-like objects, as an object mapping library names to versions (as in `spark.json`), or as
+ * flat `dependencies.<libname>` properties (as in `library.properties`.)
+ * @param {object} definition The library definition.
+ * @returns {Array<object>} The declared dependencies, each with a `name` and `version` property.
+ */
+export function declaredDependencies(definition) {
+	const result = [];
+	const declared = definition.dependencies;
+	if (Array.isArray(declared)) {
+		result.push(...declared);
+	} else if (declared) {
+		for (const name of Object.keys(declared)) {
+			result.push({ name, version: declared[name] });
+		}
+	}
+	for (const key of Object.keys(definition)) {
+		if (key.startsWith(dependencyPrefix)) {
+			result.push({ name: key.substring(dependencyPrefix.length), version: definition[key] });
+		}
+	}
+	return result;
+}
 
 /**
  * Maintains state between invocations against a dependency resolver.
  */
 export class DependencyResolverSession {
 
-	constrctor(libraryRepo) {
+	/**
+	 * @param {LibraryRepository} libraryRepo The repository libraries are fetched from.
+	 */
+	constructor(libraryRepo) {
 		this.repo = libraryRepo;
+		this.cache = {};
+	}
+
+	/**
+	 * Fetches the library corresponding to a dependency. Each library version is fetched at most once
+	 * per session.
+	 * @param {Dependency} dependency The dependency to fetch.
+	 * @returns {Promise.<Library>} The library satisfying the dependency.
+	 */
+	library(dependency) {
+		const id = dependency.id;
+		if (!this.cache[id]) {
+			this.cache[id] = this.repo.fetch(dependency.name, dependency.version);
+		}
+		return this.cache[id];
 	}
 
+	/**
+	 * Retrieves the direct dependencies of the library that satisfies a given dependency.
+	 * @param {Dependency} dependency The dependency whose library is examined.
+	 * @returns {Promise.<Array<Dependency>>} The dependencies declared by the library.
+	 */
 	dependencies(dependency) {
+		return this.definition(dependency)
+			.then(definition => declaredDependencies(definition)
+				.map(dep => new Dependency(dep.name, dep.version, dependency)));
+	}
 
+	/**
+	 * Retrieves the definition of the library that satisfies a given dependency.
+	 * @param {Dependency} dependency The dependency whose library definition is retrieved.
+	 * @returns {Promise.<object>} The library definition.
+	 */
+	definition(dependency) {
+		return this.library(dependency)
+			.then(lib => lib.definition());
 	}
 }
 
 
 
+/**
+ * Groups dependencies by library name.
+ * @param {Array<Dependency>} dependencies The dependencies to group.
+ * @returns {object} maps each library name to the dependencies on it.
+ */
+function bucketByName(dependencies) {
+	const buckets = {};
+	for (const dependency of dependencies) {
+		if (!buckets[dependency.name]) {
+			buckets[dependency.name] = [];
+		}
+		buckets[dependency.name].push(dependency);
+	}
+	return buckets;
+}
+
+/**
+ * Describes the repository a library was fetched from.
+ * @param {Library} lib The library.
+ * @param {LibraryRepository} repo The repository used when the library does not say where it came from.
+ * @returns {string} The name of the repository.
+ */
+function repositoryName(lib, repo) {
+	const source = lib.repo || repo;
+	return source && (source.name || source.constructor.name);
+}
+
 /**
  * Encapsulates the logic required to resolve dependencies.
  */
 export class DependencyResolver {
 
+	/**
+	 * @param {boolean} allowCycles When false, the default, resolution fails with a `DependencyCycleError` when
+	 * the dependencies contain a cycle. When true, cycles are tolerated and recorded in the session's `cycles` property.
+	 * @param {Number} maxDepth The maximum depth of transitive dependencies below the roots. Resolution fails with a
+	 * `DependencyDepthError` when a deeper dependency is found. Unlimited by default.
+	 */
+	constructor({ allowCycles = false, maxDepth = Infinity } = {}) {
+		this.allowCycles = allowCycles;
+		this.maxDepth = maxDepth;
+	}
 
 	/**
 	 * Determines the transitive closure of dependencies from a given set of roots.
-	 * @param {object} session   The dependency resolution session
-	 * @param {Array<object>} roots     The dependency roots.
-	 * @returns {object} something to please the linter
+	 * The list is walked breadth first. For each dependency, the dependencies of the corresponding library are
+	 * fetched and those not already in the list are appended to the end of it. The result may contain several
+	 * versions of the same library.
+	 * @param {DependencyResolverSession} session   The dependency resolution session
+	 * @param {Array<Dependency>} roots     The dependency roots.
+	 * @returns {Promise.<Array<Dependency>>} The roots followed by all their transitive dependencies.
 	 */
 	collectDependencies(session, roots) {
-		// iterate across the list of roots
-		// for each root, fetch the subdependencies and add any that don't already
-		// exist in the list to the end of the list.
+		return this._collectDependencies(session, roots, this.allowCycles);
+	}
 
-		// after this, the list may contain multiple versions for a given library
+	_collectDependencies(session, roots, allowCycles) {
+		const result = [];
+		const seen = {};
+		const edges = {};
+		const maxDepth = this.maxDepth;
+		function append(dependencies) {
+			for (const dependency of dependencies) {
+				if (!seen[dependency.id]) {
+					seen[dependency.id] = true;
+					result.push(dependency);
+				}
+			}
+		}
 
+		function next(index) {
+			if (index >= result.length) {
+				return result;
+			}
+			const dependency = result[index];
+			return session.dependencies(dependency)
+				.then(dependencies => {
+					edges[dependency.id] = dependencies.map(dep => dep.id);
+					if (dependencies.length && dependency.depth >= maxDepth) {
+						throw new DependencyDepthError(dependencies[0], maxDepth);
+					}
+					append(dependencies);
+					return next(index + 1);
+				});
+		}
+
+		append(roots);
+		return Promise.resolve()
+			.then(() => next(0))
+			.then(() => {
+				session.cycles = findCycles(roots.map(root => root.id), edges);
+				if (session.cycles.length && !allowCycles) {
+					throw new DependencyCycleError(session.cycles[0]);
+				}
+				return result;
+			});
 	}
 
+	/**
+	 * Reduces a list of dependencies to a single version of each library. The dependencies are bucketed by library name,
+	 * and each bucket reduced to the most recent version that satisfies every requirement in the bucket. The candidate
+	 * versions are those of the libraries fetched for each requirement.
+	 * @param {DependencyResolverSession} session The dependency resolution session
+	 * @param {Array<Dependency>} dependencies The dependencies to resolve, typically from `collectDependencies()`.
+	 * @returns {Promise.<Array<Dependency>>} One dependency per library, with the exact version chosen.
+	 * Rejects with a `DependencyConflictError` when no version satisfies all requirements on a library.
+	 */
 	resolveDependencies(session, dependencies) {
-		// the dependencies are bucketed by library and version
-		// then each version reduced to a single item (the most recent)
+		const buckets = bucketByName(dependencies);
+		return Promise.all(Object.keys(buckets).map(name => this.resolveLibrary(session, name, buckets[name])));
+	}
+
+	/**
+	 * Resolves the requirements on a single library to one version.
+	 * @param {DependencyResolverSession} session The dependency resolution session
+	 * @param {string} name The name of the library.
+	 * @param {Array<Dependency>} dependencies The requirements on the library.
+	 * @returns {Promise.<Dependency>} The dependency on the chosen version.
+	 */
+	resolveLibrary(session, name, dependencies) {
+		return Promise.all(dependencies.map(dep => session.definition(dep)))
+			.then(definitions => {
+				const candidates = definitions.map(definition => definition.version);
+				const version = this.selectVersion(candidates, dependencies.map(dep => dep.version));
+				if (version === undefined) {
+					throw new DependencyConflictError(name, dependencies);
+				}
+				const chosen = dependencies[candidates.indexOf(version)];
+				return new Dependency(name, version, chosen.requiredBy);
+			});
+	}
 
-		// this provides the final list of dependencies for the given set of roots
+	/**
+	 * Selects the most recent candidate version that satisfies all the given ranges.
+	 * @param {Array<string>} candidates The available versions.
+	 * @param {Array<string>} ranges The versions or semver ranges that must be satisfied.
+	 * @returns {string} The chosen version, or `undefined` if no candidate satisfies every range.
+	 */
+	selectVersion(candidates, ranges) {
+		const valid = candidates.filter(version => semver.valid(version) !== null).sort(semver.rcompare);
+		const invalid = candidates.filter(version => semver.valid(version) === null);
+		return valid.concat(invalid).find(version => ranges.every(range => satisfiesVersion(version, range)));
 	}
 
-}
+	/**
+	 * Builds the graph of dependencies for a set of roots, showing for each requirement the range requested,
+	 * the version chosen and the repository the library came from. Conflicts do not fail the graph, but are
+	 * marked on the nodes of the library in conflict. Edges closing a cycle are also marked.
+	 * @param {DependencyResolverSession} session The dependency resolution session
+	 * @param {Array<Dependency>} roots The dependency roots.
+	 * @returns {Promise.<DependencyGraph>} The dependency graph.
+	 */
+	graph(session, roots) {
+		return this._collectDependencies(session, roots, true)
+			.then(dependencies => Promise.all([
+				this._resolveVersions(session, dependencies),
+				Promise.all(dependencies.map(dep => session.library(dep))),
+				Promise.all(dependencies.map(dep => session.dependencies(dep)))
+			])
+				.then(([versions, libraries, children]) => {
+					const graph = new DependencyGraph();
+					const rootIds = roots.map(root => root.id);
+					dependencies.forEach((dep, index) => {
+						const resolved = versions[dep.name];
+						graph.addNode(dep.id, {
+							name: dep.name,
+							range: dep.version,
+							version: resolved.version,
+							repository: repositoryName(libraries[index], session.repo),
+							conflict: resolved.conflict
+						}, rootIds.includes(dep.id));
+					});
+					dependencies.forEach((dep, index) => {
+						children[index].forEach(child => graph.addEdge(dep.id, child.id));
+					});
+					return graph.markCycles();
+				}));
+	}
 
+	/**
+	 * Resolves the version of each library, without failing on conflicts.
+	 * @param {DependencyResolverSession} session The dependency resolution session
+	 * @param {Array<Dependency>} dependencies The dependencies to resolve.
+	 * @returns {Promise.<object>} Maps each library name to an object with the `version` chosen and a `conflict` flag.
+	 * @private
+	 */
+	_resolveVersions(session, dependencies) {
+		const buckets = bucketByName(dependencies);
+		const names = Object.keys(buckets);
+		return Promise.all(names.map(name => this.resolveLibrary(session, name, buckets[name])
+			.then(dep => ({ version: dep.version, conflict: false }))
+			.catch(error => {
+				if (error.name !== 'DependencyConflictError') {
+					throw error;
+				}
+				return { version: undefined, conflict: true };
+			})))
+			.then(results => {
+				const versions = {};
+				names.forEach((name, index) => {
+					versions[name] = results[index];
+				});
+				return versions;
+			});
+	}
+}
@@ -4,7 +4,20 @@ export * from './librepo_build';
 export * from './librepo_fs';
 export * from './libinit';
 export * from './librepo_cloud';
+export * from './librepo_composite';
+export * from './librepo_cache';
+export * from './librepo_mirror';
+export * from './librepo_memory';
+export * from './librepo_tarball';
+export * from './librepo_git';
+export * from './librepo_http';
+export * from './archive';
 export * from './validation';
+export * from './dependency_resolver';
+export * from './dependency_graph';
+export * from './lockfile';
+export * from './project';
+export * from './logger';
 
 const path = require('path');
 
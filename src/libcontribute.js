@@ -7,6 +7,7 @@ import fs from 'fs';
 import path from 'path';
 import tmp from 'tmp';
 import { validationMessage } from './validation';
+import { nullLogger, logOperation } from './logger';
 
 const minimatch = require('minimatch');
 
@@ -20,10 +21,11 @@ export class LibraryContributor extends EventEmitter {
 	/**
 	 * @param {FileSystemLibraryRepository} repo  The repo containing the library.
 	 * @param {Particle.Client} client  The particle-api.js client.
+	 * @param {object} logger  The logger for the contributions.
 	 */
-	constructor({ repo, client }) {
+	constructor({ repo, client, logger = nullLogger }) {
 		super();
-		Object.assign(this, { repo, client });
+		Object.assign(this, { repo, client, logger });
 	}
 
 	_isdirectory(name) {
@@ -65,6 +67,7 @@ export class LibraryContributor extends EventEmitter {
 				result = !matcher(name);
 			}
 			this.emit('file', originalName, result);
+			this.logger.debug({ operation: 'archive', message: `${result ? 'excluded' : 'included'} ${originalName}` });
 			return result;
 		};
 	}
@@ -131,7 +134,10 @@ export class LibraryContributor extends EventEmitter {
 	 */
 	contribute(callback, name, dryRun=false) {
 		const libraryDirectory = this.repo.libraryDirectory(name);
-		return this._doContribute(callback, name, libraryDirectory, dryRun);
+		const record = { operation: 'contribute', library: name, message: dryRun ? 'dry run' : undefined };
+		return logOperation(this.logger, 'info', record, () => {
+			return this._doContribute(callback, name, libraryDirectory, dryRun);
+		});
 	}
 
 	_doContribute(callback, name, libraryDirectory, dryRun) {
@@ -32,6 +32,10 @@
  */
 
 import VError from 'verror';
+import EventEmitter from 'events';
+import { nullLogger, logOperation } from './logger';
+import { archiveChecksum, verifyArchive, installArchive } from './archive';
+const semver = require('semver');
 
 /**
  * Base class of errors from a library repository.
@@ -51,7 +55,7 @@ function notFound(repo, library) {
 
 export class LibraryNotFoundError extends LibraryRepositoryError {
 	constructor(repo, library, ...others) {
-		super(repo, ...others, notFound(repo, library));
+		super(repo, ...others, '%s', notFound(repo, library));
 		this.library = library;
 		this.name = 'LibraryNotFoundError';
 	}
@@ -66,23 +70,213 @@ export class LibraryFormatError extends LibraryRepositoryError {
 	}
 }
 
+/**
+ * Raised when a library cannot be removed because other libraries in the repo depend on it.
+ */
+export class LibraryInUseError extends LibraryRepositoryError {
+	/**
+	 * @param {LibraryRepository} repo The repo containing the library.
+	 * @param {string} library The name of the library.
+	 * @param {Array<string>} dependents The names of the libraries that depend on the library.
+	 * @param {Array} others Additional arguments passed to VError.
+	 */
+	constructor(repo, library, dependents, ...others) {
+		super(repo, ...others, '%s', `library '${library}' is required by ${dependents.join(', ')}`);
+		this.library = library;
+		this.dependents = dependents;
+		this.name = 'LibraryInUseError';
+	}
+}
+
+
+
+/**
+ * Selects the highest version that matches a version or range. A version matches itself exactly, even when it is not
+ * a valid semantic version.
+ * @param {Array<String>} versions The versions to choose from.
+ * @param {String} versionOrRange The version or range to match.
+ * @returns {String} The version selected, or undefined when no version matches.
+ */
+export function highestMatchingVersion(versions, versionOrRange) {
+	if (versions.includes(versionOrRange)) {
+		return versionOrRange;
+	}
+	const valid = versions.filter(version => semver.valid(version));
+	return semver.maxSatisfying(valid, versionOrRange) || undefined;
+}
+
+/**
+ * Selects the version of a library to fetch from the versions a repo has.
+ * @param {Array<String>} versions The versions available, in the order the repo lists them.
+ * @param {String} versionOrRange The version or range to match. When not given, the highest valid version is
+ * selected, or the last version listed when no version is valid.
+ * @returns {String} The version selected, or undefined when no version matches.
+ */
+export function selectVersion(versions, versionOrRange) {
+	return highestMatchingVersion(versions, versionOrRange || '*') ||
+		(versionOrRange ? undefined : versions[versions.length - 1]);
+}
 
+function architecturesList(architectures) {
+	if (!architectures) {
+		return [];
+	}
+	const list = Array.isArray(architectures) ? architectures : architectures.split(',');
+	return list.map(arch => arch.trim()).filter(arch => arch);
+}
+
+/**
+ * Determines if a library definition matches a search. Each word in the query must be found in the library `name`,
+ * `sentence` or `paragraph`, ignoring case.
+ * @param {object} definition The library definition.
+ * @param {String} query The words to search for. When empty, all libraries match the query.
+ * @param {Array<String>|String} architectures The architectures to search for, as an array or comma-separated list.
+ * Libraries that support any of these, or that do not restrict their architectures, match.
+ * @param {String} author Text to find in the library author, ignoring case.
+ * @returns {boolean} true if the library matches the search.
+ */
+export function matchesLibrarySearch(definition, query, { architectures, author } = {}) {
+	const text = [definition.name, definition.sentence, definition.paragraph].filter(item => item).join(' ').toLowerCase();
+	const words = (query || '').toLowerCase().split(/\s+/).filter(word => word);
+	if (!words.every(word => text.includes(word))) {
+		return false;
+	}
+	const wanted = architecturesList(architectures);
+	if (wanted.length) {
+		const supported = architecturesList(definition.architectures);
+		if (supported.length && !supported.includes('*') && !wanted.some(arch => supported.includes(arch))) {
+			return false;
+		}
+	}
+	return !author || (definition.author || '').toLowerCase().includes(author.toLowerCase());
+}
 
 /**
  * Describes a library repository. A repository provides access to named libraries.
  * Each library name is unique within the repository.
+ *
+ * Long running operations, such as copying a library to a directory or adding a library to a repo, report their
+ * progress as `progress` events on the repo. Each event is an object with the `type` of progress and the `library`
+ * name, along with details for the type:
+ * - `download`: the library archive is being downloaded.
+ * - `received`: part of the archive was received. `bytes` is the number of bytes received so far, and `total` the
+ *   size of the archive, when known. Libraries from the cloud don't report this, since the api client provides the
+ *   archive only once it has been received in full.
+ * - `extract`: a file was extracted from the archive. `entry` is the name of the file, and `extracted` the number
+ *   of files extracted so far.
+ * - `copy`: a file was copied. `file` is the file written, `copied` the number of files copied so far and `total`
+ *   the number of files to copy.
+ * - `done`: the library is in place. `files` is the number of files written.
+ *
+ * Each repo logs its operations to its `logger`, which can be given to the constructor or assigned later.
  */
-export class LibraryRepository {
+export class LibraryRepository extends EventEmitter {
+
+	/**
+	 * @param {object} logger The logger for the operations of this repo, such as one created by `createLogger()`.
+	 * By default, nothing is logged.
+	 */
+	constructor({ logger = nullLogger } = {}) {
+		super();
+		this.logger = logger;
+	}
+
+	/**
+	 * Runs an operation, logging it with the time it took.
+	 * @param {String} level The level to log the operation at.
+	 * @param {String} operation The name of the operation, such as `fetch`.
+	 * @param {String} library The name of the library the operation is for, if any.
+	 * @param {function} run Runs the operation.
+	 * @returns {Promise} The result of the operation.
+	 */
+	_logOperation(level, operation, library, run) {
+		return logOperation(this.logger, level, { operation, library }, run);
+	}
+
+	/**
+	 * Reports progress of an operation on a library as a `progress` event.
+	 * @param {String} type The type of progress, such as `download` or `done`.
+	 * @param {String} library The name of the library.
+	 * @param {object} details Further properties of the event, depending on the type.
+	 * @returns {undefined} nothing
+	 */
+	progress(type, library, details = {}) {
+		this.emit('progress', Object.assign({ type, library }, details));
+	}
+
+	/**
+	 * Emits the progress events of a repo this repo delegates to as progress events of this repo.
+	 * @param {LibraryRepository} repo The repo to forward progress events from.
+	 * @returns {undefined} nothing
+	 */
+	_forwardProgress(repo) {
+		if (repo instanceof LibraryRepository) {
+			repo.on('progress', event => this.emit('progress', event));
+		}
+	}
+
 	/**
 	 *
 	 * @param {String} name  The name of the library to retrieve.
+	 * @param {String} versionOrRange The version of the library to retrieve, or a range of versions, in which case
+	 * the highest version in the range is retrieved. When not specified, the repo decides which version to retrieve.
 	 * @returns {Promise.<Library>} The library corresponding to the name, or
 	 * LibraryNotFoundError if the library doesn't exist.
 	 */
-	fetch(name) {
+	fetch(name, versionOrRange) {
 		return Promise.reject(new LibraryNotFoundError(this, name));
 	}
 
+	/**
+	 * Retrieves the versions of a library held in this repo. By default the library is fetched and the version
+	 * from its definition is returned, which suits repos that hold a single version of each library.
+	 * @param {String} name The name of the library.
+	 * @returns {Promise.<Array<String>>} The versions available, or LibraryNotFoundError if the library
+	 * doesn't exist.
+	 */
+	versions(name) {
+		return this.fetch(name)
+			.then(lib => lib.definition())
+			.then(definition => definition.version ? [definition.version] : []);
+	}
+
+	/**
+	 * Determines the version of a library to fetch for a version or range.
+	 * @param {String} name The name of the library.
+	 * @param {String} versionOrRange A version or a range of versions.
+	 * @returns {Promise.<String>} The highest version in this repo that matches, or LibraryNotFoundError when
+	 * no version matches.
+	 */
+	resolveVersion(name, versionOrRange) {
+		return this.versions(name)
+			.then(versions => {
+				const version = highestMatchingVersion(versions, versionOrRange);
+				if (version === undefined) {
+					throw new LibraryNotFoundError(this, `${name}@${versionOrRange}`);
+				}
+				return version;
+			});
+	}
+
+	/**
+	 * Verifies that a fetched library matches the version or range requested.
+	 * @param {Library} lib The library fetched.
+	 * @param {String} versionOrRange The version or range requested. When undefined, all versions match.
+	 * @returns {Promise.<Library>} The library, or LibraryNotFoundError when the library version does not match.
+	 */
+	checkVersion(lib, versionOrRange) {
+		if (!versionOrRange) {
+			return Promise.resolve(lib);
+		}
+		return lib.definition()
+			.then(definition => {
+				if (highestMatchingVersion([definition.version], versionOrRange) === undefined) {
+					throw new LibraryNotFoundError(this, `${lib.name}@${versionOrRange}`);
+				}
+				return lib;
+			});
+	}
+
 	/**
 	 * Retrieves a list of known library names
 	 * @returns {Promise.<Array>}   The library names in this repository.
@@ -90,6 +284,41 @@ export class LibraryRepository {
 	names() {
 		return Promise.resolve([]);
 	}
+
+	/**
+	 * Searches the libraries in this repo. By default, each library is fetched and matched against the search
+	 * locally with `matchesLibrarySearch()`. Libraries that cannot be fetched are skipped.
+	 * @param {String} query The words to search for in the library name, sentence and paragraph.
+	 * @param {Array<String>|String} architectures Only include libraries that support one of these architectures.
+	 * @param {String} author Only include libraries whose author contains this text.
+	 * @param {String} sort The definition property to sort by, prefixed with `-` to sort in descending order.
+	 * Defaults to `name`.
+	 * @param {Number} limit The maximum number of libraries to return. When not specified, all are returned.
+	 * @param {Number} page The page of results to return, starting at 1, when `limit` is specified.
+	 * @returns {Promise.<Array<Library>>} The libraries matching the search.
+	 */
+	search(query, { architectures, author, sort = 'name', limit, page = 1 } = {}) {
+		return this.names()
+			.then(names => Promise.all(names.map(name => this.fetch(name)
+				.then(lib => lib.definition().then(definition => ({ lib, definition })))
+				.catch(() => undefined))))
+			.then(results => {
+				const matches = results.filter(result => result &&
+					matchesLibrarySearch(result.definition, query, { architectures, author }));
+				const descending = sort.startsWith('-');
+				const key = descending ? sort.substring(1) : sort;
+				const value = result => String(result.definition[key] === undefined ? '' : result.definition[key]);
+				matches.sort((a, b) => {
+					if (value(a) === value(b)) {
+						return 0;
+					}
+					const order = value(a) < value(b) ? -1 : 1;
+					return descending ? -order : order;
+				});
+				const start = limit ? (page - 1) * limit : 0;
+				return matches.slice(start, limit ? start + limit : undefined).map(result => result.lib);
+			});
+	}
 }
 
 /**
@@ -210,6 +439,61 @@ export class AbstractLibrary extends Library{
 	processFiles(files) {
 		return files;
 	}
+
+	/**
+	 * Reports progress of an operation on this library on the repo the library came from.
+	 * @param {String} type The type of progress.
+	 * @param {object} details Further properties of the event.
+	 * @returns {undefined} nothing
+	 */
+	_progress(type, details) {
+		if (this.repo instanceof LibraryRepository) {
+			this.repo.progress(type, this.name, details);
+		}
+	}
+
+	/**
+	 * Runs an operation on this library, logging it to the logger of the repo the library came from.
+	 * @param {String} operation The name of the operation, such as `copyTo`.
+	 * @param {function} run Runs the operation.
+	 * @returns {Promise} The result of the operation.
+	 */
+	_logOperation(operation, run) {
+		const logger = this.repo instanceof LibraryRepository ? this.repo.logger : nullLogger;
+		return logOperation(logger, 'info', { operation, library: this.name }, run);
+	}
+
+	/**
+	 * Copies this library to a directory by extracting its archive. The archive is verified before anything is
+	 * written, and extracted next to the directory and then renamed, so a failed or interrupted copy leaves the
+	 * directory unchanged. Once copied, `archiveSha256` is the checksum of the archive, so it can be recorded in a
+	 * lockfile.
+	 * @param {function} archive Provides the archive of the library, as a Buffer or a promise of one.
+	 * @param {string} dir The directory to copy the library to.
+	 * @param {string} sha256 The expected SHA-256 checksum of the archive, such as one recorded in a lockfile.
+	 * @param {boolean} replace When true, an existing library directory is replaced, otherwise the copy fails with a
+	 * `DirectoryExistsError` when the directory has content.
+	 * @returns {Promise.<AbstractLibrary>} this library, or an `ArchiveIntegrityError` when the archive does not
+	 * match the checksum.
+	 */
+	_copyArchiveTo(archive, dir, { sha256, replace = false } = {}) {
+		const onEntry = (entry, extracted) => this._progress('extract', { entry, extracted });
+		let checksum;
+		return this._logOperation('copyTo', () => {
+			return Promise.resolve()
+				.then(archive)
+				.then(buffer => verifyArchive(buffer, sha256, this.name))
+				.then(buffer => {
+					checksum = archiveChecksum(buffer);
+					return installArchive(buffer, dir, { replace, onEntry });
+				})
+				.then(files => {
+					this.archiveSha256 = checksum;
+					this._progress('done', { files });
+					return this;
+				});
+		});
+	}
 }
 
 /**
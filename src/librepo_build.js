@@ -64,17 +64,27 @@ export class BuildLibraryRepository extends AbstractLibraryRepository {
 
 	/**
 	 * @param {String} endpoint The root of the library API.
+	 * @param {object} logger The logger for the operations of this repo.
 	 */
-	constructor({ endpoint }) {
-		super();
+	constructor({ endpoint, logger }) {
+		super({ logger });
 		this.endpoint = endpoint;
 		this.agent = new Agent();
 		this.root = 'libs';
 		this.dot_json = '.json';
 	}
 
-	fetch(name) {
-		return this.get(this.root+this.dot_json, { name }).then(libs => this._buildLibrary(name, libs));
+	/**
+	 * Fetches a library from Build. Build holds a single version of each library, which is fetched only when it
+	 * matches the version or range requested.
+	 * @param {string} name The name of the library.
+	 * @param {string} versionOrRange The version or range of versions required.
+	 * @returns {Promise.<BuildLibrary>} The library.
+	 */
+	fetch(name, versionOrRange) {
+		return this.get(this.root+this.dot_json, { name })
+			.then(libs => this._buildLibrary(name, libs))
+			.then(lib => this.checkVersion(lib, versionOrRange));
 	}
 
 	_buildLibrary(name, libs) {
@@ -0,0 +1,389 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { AbstractLibrary, AbstractLibraryRepository } from './librepo';
+import { libraryArchive } from './librepo_mirror';
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mkdirp = require('mkdirp');
+const promisify = require('es6-promisify');
+const semver = require('semver');
+
+const objectsDir = 'objects';
+const entriesDir = 'entries';
+const hashAlgorithm = 'sha256';
+
+const oneDay = 24 * 60 * 60 * 1000;
+let tempCounter = 0;
+
+function hash(content) {
+	return crypto.createHash(hashAlgorithm).update(content).digest('hex');
+}
+
+function readdirIfExists(dir) {
+	return promisify(fs.readdir)(dir)
+		.catch(error => {
+			if (error.code === 'ENOENT') {
+				return [];
+			}
+			throw error;
+		});
+}
+
+// another prune may have removed the file already
+function unlinkIfExists(file) {
+	return promisify(fs.unlink)(file)
+		.catch(error => {
+			if (error.code !== 'ENOENT') {
+				throw error;
+			}
+		});
+}
+
+/**
+ * A library served by a `CachingLibraryRepository`. Its archive and definition are retrieved via the cache, and the
+ * library of the underlying repo is only fetched when they are not cached.
+ */
+export class CachedLibrary extends AbstractLibrary {
+
+	/**
+	 * @param {string} name The name of the library.
+	 * @param {object} metadata The cached metadata of the library, with a `download()` function that provides the
+	 * library archive via the cache.
+	 * @param {CachingLibraryRepository} repo The cache the library came from.
+	 * @param {function} library Provides the library of the underlying repo, as a promise.
+	 */
+	constructor(name, metadata, repo, library) {
+		super(name, metadata, repo);
+		this.library = library;
+	}
+
+	/**
+	 * Extracts the cached library archive to a directory, as `_copyArchiveTo()` does. The archive is verified
+	 * against the `sha256` checksum given, or the checksum in the library metadata.
+	 * @param {string} dir The directory to extract the library to.
+	 * @param {object} options The `sha256` checksum and the `replace` flag, as for `_copyArchiveTo()`.
+	 * @returns {Promise.<CachedLibrary>} this library.
+	 */
+	copyTo(dir, { sha256 = this.metadata.sha256, replace } = {}) {
+		return this._copyArchiveTo(() => this.metadata.download(), dir, { sha256, replace });
+	}
+}
+
+/**
+ * A library repository that caches the responses of another repository, typically a `CloudLibraryRepository`,
+ * in a directory. Library archives, metadata, version lists and the index are cached, so repeated fetches and
+ * `copyTo()` calls for the same library version are served without network access.
+ *
+ * Content is stored by its hash under `objects/`, so identical content is stored once. Each request is recorded
+ * under `entries/` with the hash of its response and the time it was cached. Entries older than the TTL are
+ * fetched again, and when the underlying repo cannot be reached the stale entry is used. When the cache grows beyond
+ * its size cap, the oldest entries are removed.
+ *
+ * The libraries of the underlying repo must provide their archive, either with a `download()` function in their
+ * metadata, as cloud and http libraries do, or with `copyTo()`. The libraries of the memory and file system repos
+ * are already local, and are not cached.
+ */
+export class CachingLibraryRepository extends AbstractLibraryRepository {
+
+	/**
+	 * @param {LibraryRepository} repo The repo to cache.
+	 * @param {string} directory The cache directory.
+	 * @param {Number} ttl How long cached content is used for, in milliseconds.
+	 * @param {Number} maxSize The maximum size of the cached content, in bytes.
+	 * @param {function} now Provides the current time in milliseconds.
+	 * @param {object} logger The logger for cache hits and misses.
+	 */
+	constructor({ repo, directory, ttl = oneDay, maxSize = 100 * 1024 * 1024, now = Date.now, logger }) {
+		super({ logger });
+		this.repo = repo;
+		this.directory = directory;
+		this.ttl = ttl;
+		this.maxSize = maxSize;
+		this.now = now;
+		this.hits = 0;
+		this.misses = 0;
+		this._forwardProgress(repo);
+	}
+
+	/**
+	 * Fetches a library. A range, or no version, is resolved against the cached versions of the library, and the
+	 * library metadata is cached for each exact version. The library returned downloads its archive via the cache.
+	 * @param {string} name The name of the library.
+	 * @param {string} versionOrRange The version or range of versions to fetch. When not given, the highest
+	 * version is fetched.
+	 * @returns {Promise.<CachedLibrary>} The library.
+	 */
+	fetch(name, versionOrRange) {
+		const version = versionOrRange && semver.valid(versionOrRange) ? Promise.resolve(versionOrRange) :
+			this.resolveVersion(name, versionOrRange || '*');
+		return version
+			.then(version => {
+				let fetched;
+				const library = () => {
+					if (!fetched) {
+						fetched = this.repo.fetch(name, version);
+					}
+					return fetched;
+				};
+				const load = () => library().then(lib => lib.metadata);
+				return this._cachedJSON(`library:${name}@${version}`, load)
+					.then(metadata => {
+						const cached = Object.assign({}, metadata, {
+							download: () => this._cached(`archive:${name}@${version}`,
+								() => library().then(lib => libraryArchive(lib)))
+						});
+						return new CachedLibrary(name, cached, this, library);
+					});
+			});
+	}
+
+	/**
+	 * Retrieves the definition of a library of this cache, caching the definition of the underlying library.
+	 * @param {CachedLibrary} lib The library.
+	 * @returns {Promise.<object>} The library definition.
+	 */
+	definition(lib) {
+		return this._cachedJSON(`definition:${lib.name}@${lib.metadata.version}`,
+			() => lib.library().then(library => library.definition()));
+	}
+
+	/**
+	 * Retrieves the files of a library of this cache from the underlying library. The files are not cached.
+	 * @param {CachedLibrary} lib The library.
+	 * @returns {Promise.<Array.<LibraryFile>>} The library files.
+	 */
+	files(lib) {
+		return lib.library().then(library => library.files());
+	}
+
+	versions(name) {
+		return this._cachedJSON(`versions:${name}`, () => this.repo.versions(name));
+	}
+
+	names() {
+		return this._cachedJSON('names', () => this.repo.names());
+	}
+
+	/**
+	 * Fetches the library index of the underlying repo.
+	 * @returns {Promise.<Array>} The library metadata in the index.
+	 */
+	index() {
+		return this._cachedJSON('index', () => this.repo.index());
+	}
+
+	/**
+	 * Provides statistics about the cache.
+	 * @returns {Promise.<object>} The number of `entries` and `objects` in the cache, the total `size` of the
+	 * objects in bytes, the number of `expired` entries and the number of cache `hits` and `misses` for this repo.
+	 */
+	stats() {
+		return Promise.all([this._entries(), this._objects()])
+			.then(([entries, objects]) => {
+				const now = this.now();
+				return {
+					entries: entries.length,
+					objects: objects.length,
+					size: objects.reduce((total, object) => total + object.size, 0),
+					expired: entries.filter(entry => this._expired(entry, now)).length,
+					hits: this.hits,
+					misses: this.misses
+				};
+			});
+	}
+
+	/**
+	 * Removes expired entries, then removes the oldest entries until the cache is within its size cap, and finally
+	 * removes the objects no longer referenced by any entry.
+	 * @param {Number} maxSize The size to reduce the cache to. Defaults to the size cap of this cache.
+	 * @returns {Promise.<object>} The number of `entries` and `objects` removed, and the bytes `freed`.
+	 */
+	prune(maxSize = this.maxSize) {
+		const result = { entries: 0, objects: 0, freed: 0 };
+		return Promise.all([this._entries(), this._objects()])
+			.then(([entries, objects]) => {
+				const now = this.now();
+				const sizes = {};
+				objects.forEach(object => {
+					sizes[object.hash] = object.size;
+				});
+				const removed = [];
+				const kept = entries.filter(entry => {
+					const expired = this._expired(entry, now);
+					if (expired) {
+						removed.push(entry);
+					}
+					return !expired;
+				}).sort((a, b) => b.created - a.created);
+				const sizeOf = (list) => {
+					const hashes = {};
+					list.forEach(entry => {
+						hashes[entry.hash] = true;
+					});
+					return Object.keys(hashes).reduce((total, hash) => total + (sizes[hash] || 0), 0);
+				};
+				while (kept.length && sizeOf(kept) > maxSize) {
+					removed.push(kept.pop());
+				}
+				const referenced = {};
+				kept.forEach(entry => {
+					referenced[entry.hash] = true;
+				});
+				const unreferenced = objects.filter(object => !referenced[object.hash]);
+				result.entries = removed.length;
+				result.objects = unreferenced.length;
+				result.freed = unreferenced.reduce((total, object) => total + object.size, 0);
+				return Promise.all(removed.map(entry => unlinkIfExists(entry.file)))
+					.then(() => Promise.all(unreferenced.map(object => unlinkIfExists(object.file))));
+			})
+			.then(() => {
+				// the size is read again on the next store
+				this._size = undefined;
+				return result;
+			});
+	}
+
+	/**
+	 * Retrieves JSON content from the cache, or loads and caches it on a miss.
+	 * @param {string} key Identifies the content.
+	 * @param {function} load Loads the content when it is not cached.
+	 * @returns {Promise.<object>} The content.
+	 */
+	_cachedJSON(key, load) {
+		return this._cached(key, () => Promise.resolve(load()).then(value => JSON.stringify(value)))
+			.then(content => JSON.parse(content.toString('utf8')));
+	}
+
+	/**
+	 * Retrieves content from the cache, or loads and caches it on a miss. When the cached content has expired and
+	 * cannot be loaded again, the expired content is used.
+	 * @param {string} key Identifies the content.
+	 * @param {function} load Loads the content when it is not cached. Returns a promise of a string or buffer.
+	 * @returns {Promise.<Buffer>} The content.
+	 */
+	_cached(key, load) {
+		return this._readEntry(key)
+			.then(entry => {
+				const read = entry ? this._readObject(entry.hash).catch(() => undefined) : Promise.resolve();
+				return read.then(content => {
+					if (content !== undefined && !this._expired(entry, this.now())) {
+						this.hits++;
+						this.logger.debug({ operation: 'cache', message: `hit ${key}` });
+						return content;
+					}
+					this.misses++;
+					this.logger.debug({ operation: 'cache', message: `miss ${key}` });
+					return Promise.resolve()
+						.then(() => load())
+						.then(loaded => this._store(key, Buffer.from(loaded)), error => {
+							if (content === undefined) {
+								throw error;
+							}
+							this.logger.warn({ operation: 'cache', message: `using expired ${key}`, error });
+							return content;
+						});
+				});
+			});
+	}
+
+	_store(key, content) {
+		const contentHash = hash(content);
+		const entry = { key, hash: contentHash, created: this.now() };
+		// the entry is written first, so that a concurrent prune doesn't remove the object as unreferenced
+		return this._writeAtomic(this._entryFile(key), JSON.stringify(entry))
+			.then(() => this._writeAtomic(this._objectFile(contentHash), content))
+			.then(() => this._pruneIfFull(content.length))
+			.then(() => content);
+	}
+
+	/**
+	 * Prunes the cache once it may have grown beyond its size cap. The size of the cache is read once, and then
+	 * tracked as content is stored, so storing content doesn't scan the whole cache each time.
+	 * @param {Number} added The number of bytes just stored.
+	 * @returns {Promise} Resolves once the cache is within its size cap.
+	 */
+	_pruneIfFull(added) {
+		const size = this._size === undefined ? this.stats().then(stats => stats.size) :
+			Promise.resolve(this._size + added);
+		return size.then(size => {
+			this._size = size;
+			if (size > this.maxSize) {
+				return this.prune();
+			}
+		});
+	}
+
+	_writeAtomic(file, content) {
+		const temp = `${file}.${process.pid}.${tempCounter++}.tmp`;
+		return promisify(mkdirp)(path.dirname(file))
+			.then(() => promisify(fs.writeFile)(temp, content))
+			.then(() => promisify(fs.rename)(temp, file));
+	}
+
+	_readEntry(key) {
+		return promisify(fs.readFile)(this._entryFile(key), 'utf8')
+			.then(content => JSON.parse(content), () => undefined);
+	}
+
+	_readObject(contentHash) {
+		return promisify(fs.readFile)(this._objectFile(contentHash))
+			.then(content => {
+				if (hash(content) !== contentHash) {
+					throw new Error(`cached object ${contentHash} is corrupt`);
+				}
+				return content;
+			});
+	}
+
+	_expired(entry, now) {
+		return now - entry.created > this.ttl;
+	}
+
+	_entryFile(key) {
+		return path.join(this.directory, entriesDir, `${hash(key)}.json`);
+	}
+
+	_objectFile(contentHash) {
+		return path.join(this.directory, objectsDir, contentHash.substring(0, 2), contentHash);
+	}
+
+	_entries() {
+		const dir = path.join(this.directory, entriesDir);
+		return readdirIfExists(dir)
+			.then(files => Promise.all(files.filter(file => file.endsWith('.json')).map(file => {
+				const entryFile = path.join(dir, file);
+				return promisify(fs.readFile)(entryFile, 'utf8')
+					.then(content => Object.assign(JSON.parse(content), { file: entryFile }));
+			})));
+	}
+
+	_objects() {
+		const dir = path.join(this.directory, objectsDir);
+		return readdirIfExists(dir)
+			.then(prefixes => Promise.all(prefixes.map(prefix => readdirIfExists(path.join(dir, prefix))
+				.then(files => Promise.all(files.filter(file => !file.endsWith('.tmp')).map(file => {
+					const objectFile = path.join(dir, prefix, file);
+					return promisify(fs.stat)(objectFile)
+						.then(stat => ({ hash: file, file: objectFile, size: stat.size }));
+				}))))))
+			.then(lists => [].concat(...lists));
+	}
+}
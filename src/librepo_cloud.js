@@ -19,14 +19,13 @@
 
 import Particle from 'particle-api-js';
 
-import { AbstractLibraryRepository, AbstractLibrary } from './librepo';
+import { AbstractLibraryRepository, AbstractLibrary, LibraryNotFoundError, matchesLibrarySearch } from './librepo';
+import { nullLogger } from './logger';
 
-const tar = require('tar-stream');
-const gunzip = require('gunzip-maybe');
-const fs = require('fs');
-const path = require('path');
-const mkdirp = require('mkdirp');
-const promisify = require('es6-promisify');
+const semver = require('semver');
+
+const versionsPageSize = 100;
+const searchPageSize = 100;
 
 /**
  * A library retrieved from the cloud.
@@ -59,62 +58,20 @@ export class CloudLibrary extends AbstractLibrary{
 	// }
 
 
-	copyTo(dir) {
-		const self = this;
-		return promisify(mkdirp)(dir)
-			.then(() => this.metadata.download())
-			.then((buffer) => {
-				const Readable = require('stream').Readable;
-				const read = new Readable;
-				read._read = () => {
-					read.push(buffer);
-					read.push(null);
-				};
-				return new Promise((fulfill, reject) => {
-					const extract = tar.extract();
-
-					// for some reason this function doesn't get tracked for coverage
-					/* istanbul ignore next */
-					function handleEntry(header, stream, callback) {
-						function createDir(dir, callback) {
-							mkdirp(dir, (err) => {
-								if (err) {
-									reject(err);
-								} else {
-									callback();
-								}
-							});
-						}
-
-						// header is the tar header
-						// stream is the content body (might be an empty stream)
-						// call next when you are done with this entry
-						const fqname = path.join(dir, header.name);
-
-						if (header.type==='directory') {
-							createDir(fqname, callback);
-						} else if (header.type==='file') {
-							createDir(path.dirname(fqname), () => {
-								const write = fs.createWriteStream(fqname);
-								write.on('open', () => {
-									write.on('error', reject);
-									stream.pipe(write);
-									stream.on('end', () => {
-										callback();     // ready for next entry
-									});
-								});
-							});
-						} else {
-							stream.resume();
-							callback();
-						}
-					}
-
-					extract.on('entry', handleEntry);
-					extract.on('finish', fulfill);
-					read.pipe(gunzip()).pipe(extract);
-				}).then(() => self);
-			});
+	/**
+	 * Downloads the library archive and extracts it to a directory, as `_copyArchiveTo()` does. The archive is
+	 * verified against the `sha256` checksum given, or the checksum in the library metadata.
+	 * @param {string} dir The directory to extract the library to.
+	 * @param {object} options The `sha256` checksum and the `replace` flag, as for `_copyArchiveTo()`.
+	 * @returns {Promise.<CloudLibrary>} this library.
+	 */
+	copyTo(dir, { sha256 = this.metadata.sha256, replace } = {}) {
+		const download = () => {
+			// the api client provides the archive only once it is complete, so there is no `received` progress
+			this._progress('download');
+			return this.metadata.download();
+		};
+		return this._copyArchiveTo(download, dir, { sha256, replace });
 	}
 }
 
@@ -125,14 +82,23 @@ export class CloudLibrary extends AbstractLibrary{
 export class CloudLibraryRepository extends AbstractLibraryRepository {
 
 	/**
-	 * @param {String} endpoint The root of the library API.
+	 * @param {String} auth The access token for the library API.
+	 * @param {object} client The particle-api-js client. By default, a client using `auth` is created.
+	 * @param {object} logger The logger for the operations of this repo and the requests made by the client.
 	 */
-	constructor({ auth=undefined, client = new Particle().client({ auth }) }) {
-		super();
+	constructor({ auth=undefined, client = new Particle().client({ auth }), logger }) {
+		super({ logger });
 		this.api = client.api;
 		this.client = client;
 		this.auth = auth;
-		this.api.debug = console.log; // eslint-disable-line no-console
+		// the client calls this with each superagent request, which carries the access token, so only the method and
+		// the URL without its query are logged
+		this.api.debug = (request) => {
+			if (this.logger !== nullLogger && request) {
+				const url = String(request.url).split('?')[0];
+				this.logger.debug({ operation: 'request', message: `${request.method} ${url}` });
+			}
+		};
 	}
 
 	_getLibrary(name, version) {
@@ -140,9 +106,23 @@ export class CloudLibraryRepository extends AbstractLibraryRepository {
 		return this.client.library(name, query);
 	}
 
-	fetch(name, version) {
-		return this._getLibrary(name, version).then((lib) => {
-			return this._createLibrary(name, lib);
+	/**
+	 * Fetches a library from the cloud. A range of versions is first resolved to the highest matching version
+	 * available, since the cloud retrieves libraries by exact version.
+	 * @param {string} name The name of the library.
+	 * @param {string} versionOrRange The version or range of versions to fetch. When not specified, the latest
+	 * version is fetched.
+	 * @returns {Promise.<CloudLibrary>} The library.
+	 */
+	fetch(name, versionOrRange) {
+		return this._logOperation('debug', 'fetch', name, () => {
+			const version = !versionOrRange || semver.valid(versionOrRange) ? Promise.resolve(versionOrRange) :
+				this.resolveVersion(name, versionOrRange);
+			return version
+				.then(version => this._getLibrary(name, version))
+				.then((lib) => {
+					return this._createLibrary(name, lib);
+				});
 		});
 	}
 
@@ -150,6 +130,31 @@ export class CloudLibraryRepository extends AbstractLibraryRepository {
 		return new CloudLibrary(name, metadata, this);
 	}
 
+	/**
+	 * Retrieves the versions of a library available in the cloud. The versions are fetched a page at a time
+	 * until all have been retrieved.
+	 * @param {string} name The name of the library.
+	 * @returns {Promise.<Array<string>>} The versions of the library, as listed by the cloud, or
+	 * LibraryNotFoundError when the cloud does not have the library.
+	 */
+	versions(name) {
+		const limit = versionsPageSize;
+		const fetchPage = (page, result) => {
+			return this.client.libraryVersions(name, { page, limit })
+				.then(libs => {
+					result = result.concat(libs.map(lib => lib.version));
+					return libs.length < limit ? result : fetchPage(page + 1, result);
+				});
+		};
+		return this._logOperation('debug', 'versions', name, () => fetchPage(1, [])
+			.catch(error => {
+				if (error && error.statusCode === 404) {
+					throw new LibraryNotFoundError(this, name);
+				}
+				throw error;
+			}));
+	}
+
 	names() {
 		return this.index().then((libs) => {
 			return this.extractNames(libs);
@@ -161,7 +166,57 @@ export class CloudLibraryRepository extends AbstractLibraryRepository {
 	 * @returns {Array} of library metadata. The format is specific to the version of the library.
 	 */
 	index() {
-		return this.client.libraries();
+		return this._logOperation('debug', 'index', undefined, () => this.client.libraries());
+	}
+
+	/**
+	 * Searches the libraries in the cloud. The query, architectures, sort order and paging are passed to the
+	 * library api, so only the matching libraries are downloaded. The api has no author filter, so when an author
+	 * is given, pages of libraries are fetched and filtered by author until enough libraries match to fill the
+	 * requested page, and `limit` and `page` then apply to the matching libraries.
+	 * @param {String} query The words to search for.
+	 * @param {Array<String>|String} architectures Only include libraries that support one of these architectures.
+	 * @param {String} author Only include libraries whose author contains this text.
+	 * @param {String} sort The sort order supported by the library api, such as `name`, `-popularity` or `installs`.
+	 * @param {Number} limit The maximum number of libraries to return.
+	 * @param {Number} page The page of results to return, starting at 1.
+	 * @returns {Promise.<Array<CloudLibrary>>} The libraries matching the search.
+	 */
+	search(query, { architectures, author, sort, limit, page } = {}) {
+		const params = { filter: query, sort, limit, page };
+		if (architectures) {
+			params.architectures = Array.isArray(architectures) ? architectures.join(',') : architectures;
+		}
+		Object.keys(params).forEach(key => {
+			if (params[key] === undefined || params[key] === '') {
+				delete params[key];
+			}
+		});
+		const search = author ? () => this._searchByAuthor(params, author) : () => this.client.libraries(params);
+		return this._logOperation('debug', 'search', undefined, search)
+			.then(libs => libs.map(lib => this._createLibrary(lib.name, lib)));
+	}
+
+	/**
+	 * Fetches pages of search results until enough libraries by the author are found for the page requested
+	 * in `params`, or there are no more results.
+	 * @param {object} params The search parameters for the library api.
+	 * @param {String} author Only include libraries whose author contains this text.
+	 * @returns {Promise.<Array<object>>} The metadata of the libraries by the author on the requested page.
+	 */
+	_searchByAuthor(params, author) {
+		const limit = params.limit;
+		const start = limit ? ((params.page || 1) - 1) * limit : 0;
+		const fetchPage = (page, result) => {
+			return this.client.libraries(Object.assign({}, params, { limit: searchPageSize, page }))
+				.then(libs => {
+					result = result.concat(libs.filter(lib => matchesLibrarySearch(lib, '', { author })));
+					const done = libs.length < searchPageSize || (limit && result.length >= start + limit);
+					return done ? result : fetchPage(page + 1, result);
+				});
+		};
+		return fetchPage(1, [])
+			.then(result => limit ? result.slice(start, start + limit) : result);
 	}
 
 	/**
@@ -0,0 +1,138 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import VError from 'verror';
+import { LibraryRepository, LibraryRepositoryError, LibraryNotFoundError } from './librepo';
+
+/**
+ * A library repository that combines several repositories, searched in priority order. For example, a project
+ * `lib` folder, a shared filesystem repo and the cloud, so that locally patched libraries are preferred over
+ * published ones.
+ *
+ * Libraries are fetched from the first repo that has them, and are returned as is, so `lib.repo` is the repo the
+ * library came from.
+ */
+export class CompositeLibraryRepository extends LibraryRepository {
+
+	/**
+	 * @param {Array<LibraryRepository>} repos The repos to search, highest priority first.
+	 * @param {object} logger The logger for the operations of this repo.
+	 */
+	constructor(repos, { logger } = {}) {
+		super({ logger });
+		this.repos = repos;
+		// the repo each library was found in, keyed by library name
+		this.sources = {};
+		repos.forEach(repo => this._forwardProgress(repo));
+	}
+
+	/**
+	 * Fetches a library from the first repo that provides it. Errors from a repo, such as the library not
+	 * being present or not matching the version requested, cause the next repo to be tried.
+	 * @param {string} name The name of the library.
+	 * @param {string} versionOrRange The version or range of versions to fetch.
+	 * @returns {Promise.<Library>} The library, or LibraryNotFoundError if no repo provides it. The error
+	 * cause lists the error from each repo.
+	 */
+	fetch(name, versionOrRange) {
+		const errors = [];
+		const fetchFrom = (index) => {
+			if (index >= this.repos.length) {
+				if (errors.length) {
+					throw new LibraryNotFoundError(this, name, new VError.MultiError(errors));
+				}
+				throw new LibraryNotFoundError(this, name);
+			}
+			const repo = this.repos[index];
+			return repo.fetch(name, versionOrRange)
+				.then(lib => {
+					this.sources[name] = repo;
+					return lib;
+				}, error => {
+					errors.push(error);
+					return fetchFrom(index + 1);
+				});
+		};
+		return Promise.resolve().then(() => fetchFrom(0));
+	}
+
+	/**
+	 * Lists the libraries from all repos. A library present in several repos is listed once, and is recorded as
+	 * coming from the repo with the highest priority. Repos that fail to list their libraries, such as the cloud
+	 * when offline, are skipped with a warning to the logger.
+	 * @returns {Promise.<Array<string>>} The library names, in repo priority order, or a LibraryRepositoryError
+	 * when every repo fails. The error cause lists the error from each repo.
+	 */
+	names() {
+		const errors = [];
+		return Promise.all(this.repos.map(repo => repo.names()
+			.catch(error => {
+				this.logger.warn({ operation: 'names', message: 'skipping a repo that failed to list its libraries', error });
+				errors.push(error);
+				return [];
+			})))
+			.then(repoNames => {
+				if (errors.length && errors.length === this.repos.length) {
+					throw new LibraryRepositoryError(this, new VError.MultiError(errors), 'unable to list libraries');
+				}
+				const result = [];
+				repoNames.forEach((names, index) => {
+					for (const name of names) {
+						if (!result.includes(name)) {
+							result.push(name);
+							this.sources[name] = this.repos[index];
+						}
+					}
+				});
+				return result;
+			});
+	}
+
+	/**
+	 * Lists the versions of a library across all repos. Repos that do not have the library are skipped.
+	 * @param {string} name The name of the library.
+	 * @returns {Promise.<Array<string>>} The versions, without duplicates, in repo priority order.
+	 */
+	versions(name) {
+		return Promise.all(this.repos.map(repo => repo.versions(name).catch(() => [])))
+			.then(repoVersions => {
+				const result = [];
+				for (const versions of repoVersions) {
+					for (const version of versions) {
+						if (!result.includes(version)) {
+							result.push(version);
+						}
+					}
+				}
+				if (!result.length) {
+					throw new LibraryNotFoundError(this, name);
+				}
+				return result;
+			});
+	}
+
+	/**
+	 * Determines the repo a library was found in by the last call to `fetch()` or `names()`.
+	 * @param {string} name The name of the library.
+	 * @returns {LibraryRepository} The repo the library came from, or `undefined` if the library has not been found.
+	 */
+	source(name) {
+		return this.sources[name];
+	}
+}
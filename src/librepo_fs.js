@@ -17,10 +17,13 @@
  ******************************************************************************
  */
 
-import { LibraryNotFoundError, LibraryRepositoryError } from './librepo';
+import { LibraryInUseError, LibraryNotFoundError, LibraryRepositoryError } from './librepo';
 import VError from 'verror';
+import klaw from 'klaw';
 import { LibraryContributor } from './libcontribute';
+import { Dependency, declaredDependencies, satisfiesVersion } from './dependency_resolver';
 const fs = require('fs');
+const fse = require('fs-extra');
 const path = require('path');
 const promisify = require('es6-promisify');
 const properties = require('properties-parser');
@@ -76,6 +79,39 @@ export function getdirs(rootDir) {
 
 export const libraryProperties = 'library.properties';
 
+// characters that are not allowed in file names on some filesystems, and the escape character itself
+const unsafeFilenameChars = /[<>:"/\\|?*%\x00-\x1f\x7f]/;
+// leading dots would hide the directory or refer to a parent, trailing dots and spaces are dropped by Windows
+const unsafeFilenameEnds = /[. ]/;
+
+function escapeChar(c) {
+	return '%' + ('0' + c.charCodeAt(0).toString(16).toUpperCase()).slice(-2);
+}
+
+/**
+ * Encodes a library name as a name that is safe to use for a file or directory on all common filesystems.
+ * Unsafe characters are replaced by `%` followed by two hex digits. The encoding is reversed by
+ * `decodeFilesystemName()`.
+ * @param {string} name The name to encode.
+ * @returns {string} The encoded name. Names that contain only safe characters are unchanged.
+ */
+export function encodeFilesystemName(name) {
+	const chars = Array.from(name);
+	return chars.map((c, index) => {
+		const end = index === 0 || index === chars.length - 1;
+		return unsafeFilenameChars.test(c) || (end && unsafeFilenameEnds.test(c)) ? escapeChar(c) : c;
+	}).join('');
+}
+
+/**
+ * Decodes a name encoded by `encodeFilesystemName()`.
+ * @param {string} name The encoded name.
+ * @returns {string} The original name.
+ */
+export function decodeFilesystemName(name) {
+	return name.replace(/%([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
 export class FileSystemLibrary extends AbstractLibrary {
 	/**
 	 *
@@ -100,32 +136,105 @@ export class NamingStrategy {
 		throw new Error('not implemented');
 	}
 
+	/**
+	 * Maps a library name to the name of the directory the library is stored in.
+	 * @param {string} name The name of the library, as provided by `toName`.
+	 * @returns {string} The directory name, encoded so that it is safe on all filesystems.
+	 */
 	nameToFilesystem(name) {
+		return encodeFilesystemName(name);
+	}
+
+	/**
+	 * Maps a directory name back to the library name it was derived from.
+	 * @param {string} name The directory name.
+	 * @returns {string} The library name.
+	 */
+	filesystemToName(name) {
+		return decodeFilesystemName(name);
+	}
+
+	/**
+	 * Determines the name that identifies a specific version of a library.
+	 * @param {string} name The name of the library, without a version.
+	 * @param {string} version The version of the library.
+	 * @returns {string} The name of the library at the given version.
+	 */
+	nameAtVersion(name, version) {
 		return name;
 	}
 
+	/**
+	 * Lists the versions of a library held in a repo. This strategy holds one version of each library,
+	 * so the library is fetched and the version from its descriptor returned.
+	 * @param {FileSystemLibraryRepo} repo The repo containing the library.
+	 * @param {string} name The name of the library, without a version.
+	 * @returns {Promise.<Array<string>>} The versions of the library in the repo.
+	 */
+	versions(repo, name) {
+		return repo.fetch(name)
+			.then(lib => lib.definition())
+			.then(definition => definition.version ? [definition.version] : []);
+	}
+
 	/**
 	 * Fetches all the names for a given repo.
 	 * @param {FileSystemLibraryRepo} repo The repo to fetch the names for.
 	 * @returns {Promise.<Array<string>>} The logical names of libraries available in this repo.
 	 */
 	names(repo) {
+		return this.libraries(repo).then(libraries => libraries.map(lib => lib.name));
+	}
+
+	/**
+	 * Finds the libraries in a repo. The name of each library is derived from its descriptor, so a library is
+	 * listed under its logical name even when the directory it is stored in was not named by this strategy.
+	 * When the descriptor cannot be read, the name is decoded from the directory name. Hidden directories are
+	 * skipped.
+	 * @param {FileSystemLibraryRepo} repo The repo to list the libraries for.
+	 * @returns {Promise.<Array<object>>} The `name` of each library and the `directory` it is stored in,
+	 * relative to the repo.
+	 */
+	libraries(repo) {
 		const stat = promisify(fs.stat);
+		const parse = promisify(properties.read);
 		return getdirs(repo.path).then(dirs => {
-			const libPromises = dirs.map(dir => {
-				const filePath = repo.descriptorFileV2(dir);
-				// todo - map directory names back to the library name (if some encoding is used.)
+			// library directories never start with a dot, since the names are encoded, but the temporary
+			// directories libraries are extracted to do
+			const libPromises = dirs.filter(dir => !dir.startsWith('.')).map(dir => {
+				const filePath = repo.directory(dir) + libraryProperties;
 				return stat(filePath)
-					.then(stat => stat.isFile())
+					.then(stat => stat.isFile() && parse(filePath)
+						.then(descriptor => ({ name: this.descriptorName(descriptor, dir), directory: dir }))
+						.catch(() => ({ name: this.filesystemToName(dir), directory: dir })))
 					.catch(error => false);
 			});
 
-			return Promise.all(libPromises).then(isLib => {
-				return dirs.filter((_, i) => isLib[i]);
+			return Promise.all(libPromises).then(libraries => {
+				const result = [];
+				for (const lib of libraries.filter(lib => lib)) {
+					const existing = result.find(other => other.name === lib.name);
+					if (!existing) {
+						result.push(lib);
+					} else if (lib.directory === this.nameToFilesystem(lib.name)) {
+						// prefer the directory named by this strategy when a library is present twice
+						existing.directory = lib.directory;
+					}
+				}
+				return result;
 			});
 		});
 	}
 
+	/**
+	 * @param {object} descriptor The library descriptor.
+	 * @param {string} dir The directory containing the descriptor.
+	 * @returns {string} The logical name of the library in the directory.
+	 */
+	descriptorName(descriptor, dir) {
+		return descriptor.name ? this.toName(descriptor) : this.filesystemToName(dir);
+	}
+
 	/**
 	 * Determines if the given name matches the name corresponding to the descriptor.
 	 * This allows the strategy to introduce name aliases.
@@ -148,6 +257,28 @@ class LibraryNameAtVersionStrategy extends NamingStrategy {
 	toName(library) {
 		return `${library.name}@${library.version}`;
 	}
+
+	nameAtVersion(name, version) {
+		return `${name}@${version}`;
+	}
+
+	/**
+	 * Several versions of a library can be stored side by side, so the versions are taken from the names in the repo.
+	 * @param {FileSystemLibraryRepo} repo The repo containing the library.
+	 * @param {string} name The name of the library, without a version.
+	 * @returns {Promise.<Array<string>>} The versions of the library in the repo.
+	 */
+	versions(repo, name) {
+		const prefix = `${name}@`;
+		return repo.names()
+			.then(names => {
+				const versions = names.filter(n => n.startsWith(prefix)).map(n => n.substring(prefix.length));
+				if (!versions.length) {
+					throw new LibraryNotFoundError(repo, name);
+				}
+				return versions;
+			});
+	}
 }
 
 class LibraryDirectStrategy extends NamingStrategy {
@@ -172,15 +303,15 @@ class LibraryDirectStrategy extends NamingStrategy {
 
 	/**
 	 * @param {FileSystemLibraryRepo} repo The repo to use that provides the library descriptors.
-	 * @returns {Promise<Array<string>>} A list of the library names in the repo.
+	 * @returns {Promise<Array<object>>} The library in the repo, with its `name` and the `directory` ''.
 	 */
-	names(repo) {
+	libraries(repo) {
 		const filename = repo.descriptorFileV2('');
 		return repo.fileStat(filename)
 			.then((stat) => {
 				if (stat && stat.isFile()) {
 					return repo.readDescriptorV2('', filename)
-						.then(descriptor => [this.toName(descriptor)]);
+						.then(descriptor => [{ name: this.toName(descriptor), directory: '' }]);
 				}
 				return [];
 			});
@@ -206,6 +337,43 @@ const examplesDir = 'examples';
 const testDir = 'test';
 const unitDir = 'unit';
 const srcDir = 'src';
+const dependenciesProperty = 'dependencies';
+
+/**
+ * Replaces the dependencies declared in a descriptor, either as `dependencies.<libname>` properties or as
+ * a `dependencies` object, with a `dependencies` array of `Dependency` instances.
+ * @param {object} descriptor The library descriptor to update.
+ * @returns {object} The descriptor.
+ */
+function replaceDependencies(descriptor) {
+	const dependencies = declaredDependencies(descriptor).map(dep => new Dependency(dep.name, dep.version));
+	for (const key of Object.keys(descriptor)) {
+		if (key.startsWith(`${dependenciesProperty}.`)) {
+			delete descriptor[key];
+		}
+	}
+	delete descriptor[dependenciesProperty];
+	if (dependencies.length) {
+		descriptor[dependenciesProperty] = dependencies;
+	}
+	return descriptor;
+}
+
+/**
+ * Converts the properties read from a `library.properties` file to a library descriptor, in the same form as
+ * the descriptors of libraries in a filesystem repo.
+ * @param {object} props The properties.
+ * @returns {object} The descriptor, which is the updated properties object.
+ */
+export function parseLibraryProperties(props) {
+	if (props.sentence!==undefined) {
+		props.description = props.sentence;
+	}
+	if (props.architectures) {
+		props.architectures = props.architectures.split(',');
+	}
+	return replaceDependencies(props);
+}
 
 export const FileSystemNamingStrategy = {
 	BY_NAME: new LibraryNameStrategy(),
@@ -226,9 +394,10 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 	 * libraries are stored as subdirectories under the repo root.
 	 * @param {NamingStrategy} namingStrategy The strategy that maps library metadata to an identifying name,
 	 * and maps that name to the filesystem.
+	 * @param {object} logger The logger for the operations of this repo.
 	 */
-	constructor(repoPath, namingStrategy) {
-		super();
+	constructor(repoPath, namingStrategy, { logger } = {}) {
+		super({ logger });
 		if (!namingStrategy) {
 			namingStrategy = FileSystemNamingStrategy.BY_NAME;
 		}
@@ -238,16 +407,18 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 		}
 		this.path = repoPath;
 		this.namingStrategy = namingStrategy;
+		// the directories of libraries found by `names()`, keyed by library name
+		this.directories = {};
 		this.sourceExtensions = { 'c':true, 'cpp': true, 'h':true };
 	}
 
 	/**
-	 * A nod to the fact we need to sanitize library names for the fs...
+	 * Sanitizes a library name for the filesystem.
 	 * @param {string} name      The name to sanitize
-	 * @returns {string} a sanitized name.
+	 * @returns {string} a sanitized name, as produced by `encodeFilesystemName()`.
 	 */
 	nameToFs(name) {
-		return name;
+		return encodeFilesystemName(name);
 	}
 
 	nameFor(library) {
@@ -270,15 +441,19 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 	 * Copy a given file to this library.
 	 * @param {string} libraryName the target library name (according to the naming strategy.)
 	 * @param {LibraryFile} libraryFile   The library file to copy to the target library.
-	 * @return {Promise} to copy the library file.
+	 * @return {Promise} to copy the library file. The promise resolves once the file is written.
 	 */
 	copyLibraryFile(libraryName, libraryFile) {
 		return Promise.resolve().then(() => {
 			const fileName = this.libraryFileName(libraryName, libraryFile.name, libraryFile.extension);
 			const dir = path.dirname(fileName);
 			this.createDirectory(dir);
-			const outputStream = fs.createWriteStream(fileName);
-			libraryFile.content(outputStream);
+			return new Promise((fulfill, reject) => {
+				const outputStream = fs.createWriteStream(fileName);
+				outputStream.on('finish', fulfill);
+				outputStream.on('error', reject);
+				libraryFile.content(outputStream);
+			});
 		});
 	}
 
@@ -303,7 +478,7 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 
 	/**
 	 * Adds a library to this repo. The descriptor and source files are written out. Example files are presently
-	 * not included.
+	 * not included. Each file copied is reported as `copy` progress.
 	 * @param {Library} library The library to add.
 	 * @param {Number} layout   The layout version to use. 1 means legacy v1 (with firmware directory), 2 means library v2.
      * @return {Promise} promise to create the library.
@@ -315,28 +490,107 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 		}
 
 		const mkdir = promisify(fs.mkdir);
-		return Promise.resolve()
-			.then(() => mkdir(this.libraryDirectory(name)))
-			.then(() => library.definition())
-			.then(definition => {
-				if (layout===1) {
-					return this.writeDescriptorV1(this.descriptorFileV1(name), definition);
-				} else {
-					return this.writeDescriptorV2(this.descriptorFileV2(name), definition);
-				}
-			})
-			.then(() => library.files())
-			.then((files) => {
-				const copyFiles = [];
-				for (let file of files) {
-					if (this.includeLibraryFile(file)) {
-						copyFiles.push(Promise.resolve().then(()=>this.copyLibraryFile(name, file)));
+		let copied = 0;
+		return this._logOperation('info', 'add', library.name, () => {
+			return Promise.resolve()
+				.then(() => mkdir(this.libraryDirectory(name)))
+				.then(() => library.definition())
+				.then(definition => {
+					if (layout===1) {
+						return this.writeDescriptorV1(this.descriptorFileV1(name), definition);
+					} else {
+						return this.writeDescriptorV2(this.descriptorFileV2(name), definition);
+					}
+				})
+				.then(() => library.files())
+				.then((files) => {
+					const included = files.filter(file => this.includeLibraryFile(file));
+					const copyFiles = [];
+					for (let file of included) {
+						copyFiles.push(Promise.resolve().then(()=>this.copyLibraryFile(name, file)).then(() => {
+							const written = this.libraryFileName(name, file.name, file.extension);
+							const total = included.length;
+							this.progress('copy', library.name, { file: written, copied: ++copied, total });
+						}));
 					}
+					return Promise.all(copyFiles);
+				})
+				.then(() => this.progress('done', library.name, { files: copied }));
+		});
+	}
+
+	/**
+	 * Removes a library from this repo, deleting the library directory and all the files in it.
+	 * @param {string} name The name of the library to remove, as provided by the naming strategy.
+	 * @param {boolean} checkDependents When true, the library is not removed if other libraries in the repo
+	 * declare a dependency on it.
+	 * @returns {Promise.<object>} A report with the `name` of the library, the `directory` removed and the
+	 * `files` deleted. Rejects with a `LibraryInUseError` when the library is required by other libraries.
+	 */
+	remove(name, { checkDependents = false } = {}) {
+		if (this.namingStrategy.nameToFilesystem(name) === '') {
+			return Promise.reject(new LibraryRepositoryError(this, 'repo is not writable'));
+		}
+
+		let directory;
+		let files;
+		return this._logOperation('info', 'remove', name, () => {
+			return this.fetch(name)
+				.then(lib => {
+					// the library is located once fetched, since it may be stored in a directory with another name
+					directory = this.libraryDirectory(name);
+					return checkDependents && this._checkDependents(name, lib.metadata);
+				})
+				.then(() => this._listFiles(directory))
+				.then(list => {
+					files = list;
+					return promisify(fse.remove)(directory);
+				})
+				.then(() => {
+					delete this.directories[name];
+					return { name, directory, files };
+				});
+		});
+	}
+
+	/**
+	 * Rejects when any other library in this repo declares a dependency satisfied by the given library.
+	 * @param {string} name The name of the library, as provided by the naming strategy.
+	 * @param {object} metadata The descriptor of the library.
+	 * @returns {Promise} to check the dependents of the library.
+	 */
+	_checkDependents(name, metadata) {
+		return this.names()
+			.then(names => Promise.all(names.filter(other => other !== name).map(other => this.fetch(other))))
+			.then(libs => {
+				const dependents = libs.filter(lib => (lib.metadata.dependencies || []).some(dep => {
+					return dep.name === metadata.name && satisfiesVersion(metadata.version, dep.version);
+				}));
+				if (dependents.length) {
+					throw new LibraryInUseError(this, name, dependents.map(lib => lib.name));
 				}
-				return Promise.all(copyFiles);
 			});
 	}
 
+	/**
+	 * Lists all the files under a directory.
+	 * @param {string} directory The directory to list.
+	 * @returns {Promise.<Array<string>>} The paths of the files, sorted.
+	 */
+	_listFiles(directory) {
+		return new Promise((fulfill, reject) => {
+			const files = [];
+			klaw(directory)
+				.on('data', (item) => {
+					if (!item.stats.isDirectory()) {
+						files.push(item.path);
+					}
+				})
+				.on('error', reject)
+				.on('end', () => fulfill(files.sort()));
+		});
+	}
+
 	/**
 	 * Removes the id field from the metadata.
 	 * @param {object} metadata  The object to clone and remove the ID from.
@@ -357,6 +611,20 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 	writeDescriptorV1(toFile, metadata) {
 		const writeFile = promisify(fs.writeFile);
 		const m = this.removeId(metadata);
+		// v1 descriptors declare dependencies as an object mapping library names to versions
+		const dependencies = declaredDependencies(m);
+		for (const key of Object.keys(m)) {
+			if (key.startsWith(`${dependenciesProperty}.`)) {
+				delete m[key];
+			}
+		}
+		delete m[dependenciesProperty];
+		if (dependencies.length) {
+			m[dependenciesProperty] = {};
+			dependencies.forEach(dep => {
+				m[dependenciesProperty][dep.name] = dep.version;
+			});
+		}
 		const content = JSON.stringify(m);
 		return writeFile(toFile, content);
 	}
@@ -380,6 +648,9 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 		addProperty(content, metadata.url, 'url', 'the url for the project');
 		addProperty(content, metadata.repository, 'repository', 'git repository for the project, like https://github.com/mygithub_user/my_repo.git');
 		addProperty(content, metadata.architectures && metadata.architectures.join(','), 'architectures', 'a list of supported boards if this library is hardware dependent, like particle-photon,particle-electron');
+		for (const dependency of declaredDependencies(metadata)) {
+			addProperty(content, dependency.version, `${dependenciesProperty}.${dependency.name}`);
+		}
 		return content.join('');
 	}
 
@@ -401,17 +672,42 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 	 * Fetches a library from the repo.
 	 * @param {string} libraryIdentifier The filesystem identifier of the library to fetch,
 	 * typically derived from one of the values returned by `names()`.
+	 * @param {string} versionOrRange The version or range of versions to fetch. When given, the
+	 * library identifier is the name of the library without a version, and the highest matching
+	 * version in the repo is fetched.
 	 * @return {FileSystemLibrary} the library found.
 	 *
 	 * With the DIRECT strategy, a name of `` can be used to refer to the library at the
 	 * filesystem root.
 	 */
-	fetch(libraryIdentifier) {
+	fetch(libraryIdentifier, versionOrRange) {
+		if (versionOrRange) {
+			return this.resolveVersion(libraryIdentifier, versionOrRange)
+				.then(version => this.fetch(this.namingStrategy.nameAtVersion(libraryIdentifier, version)));
+		}
+		return this._fetch(libraryIdentifier)
+			.catch(error => {
+				if (this.directories[libraryIdentifier] !== undefined) {
+					throw error;
+				}
+				// the library may be stored in a directory that was not named by the naming strategy
+				return this.names()
+					.catch(() => [])
+					.then(() => {
+						if (this.directories[libraryIdentifier] === undefined) {
+							throw error;
+						}
+						return this._fetch(libraryIdentifier);
+					});
+			});
+	}
+
+	_fetch(libraryIdentifier) {
 		// determine the real name used in the filesystem for a given library ID
 		// (e.g. this allows the DIRECT strategy to map all names to '', since it supports
 		// only one library in the root.)
 		const name = this.namingStrategy.nameToFilesystem(libraryIdentifier);
-		const filePath = this.descriptorFileV2(name);
+		const filePath = this.descriptorFileV2(libraryIdentifier);
 		return this.readDescriptorV2(libraryIdentifier, filePath)
 			.then((descriptor) => {
 				// get the real name (the libraryIdentifier could be an alias.)
@@ -431,13 +727,7 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 				if (!this.namingStrategy.matchesName(props,name)) {
 					throw new LibraryFormatError(this, name, 'name in descriptor does not match directory name');
 				}
-				if (props.sentence!==undefined) {
-					props.description = props.sentence;
-				}
-				if (props.architectures) {
-					props.architectures = props.architectures.split(',');
-				}
-				return props;
+				return parseLibraryProperties(props);
 			});
 	}
 
@@ -453,11 +743,14 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 
 	/**
 	 * Determines the directory where a library using the given name (from the naming strategy) is located.
+	 * Libraries found by `names()` are located in the directory they were found in, others in the directory
+	 * named by the naming strategy.
 	 * @param {string} name The identifier of the library in the filesystem.
 	 * @return {string} The directory in the filesystem corresponding to the library identifier.
 	 */
 	libraryDirectory(name) {
-		return this.directory(this.namingStrategy.nameToFilesystem(name));
+		const directory = this.directories[name];
+		return this.directory(directory !== undefined ? directory : this.namingStrategy.nameToFilesystem(name));
 	}
 
 	/**
@@ -506,8 +799,23 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 	 * @returns {Promise.<Array.<String>>} The names of libraries in this repo.
 	 */
 	names() {
-		const result = this.namingStrategy.names(this);
-		return result;
+		return this.namingStrategy.libraries(this)
+			.then(libraries => {
+				this.directories = {};
+				for (const lib of libraries) {
+					this.directories[lib.name] = lib.directory;
+				}
+				return libraries.map(lib => lib.name);
+			});
+	}
+
+	/**
+	 * Lists the versions of a library in this repo, as determined by the naming strategy.
+	 * @param {string} name The name of the library, without a version.
+	 * @returns {Promise.<Array<string>>} The versions of the library.
+	 */
+	versions(name) {
+		return this.namingStrategy.versions(this, name);
 	}
 
 	/**
@@ -571,7 +879,7 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 	 * @return {Number} 1 for layout version 1 (legacy) or 2 for layout version 2.
 	 */
 	getLibraryLayout(name) {
-		const dir = this.libraryDirectory(this.namingStrategy.nameToFilesystem(name));
+		const dir = this.libraryDirectory(name);
 		const stat = promisify(fs.stat);
 		const notFound = (error) => error!==undefined ? new LibraryNotFoundError(this, name, error) : new LibraryNotFoundError(this, name);
 		return Promise.resolve()
@@ -628,7 +936,7 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 				if (layout!==2 || currentLayout!==1) {                      // support only migrate to v2 for now
 					throw new LibraryRepositoryError(this, 'the requested library migration is not supported');
 				}
-				return this.migrateV2(name);
+				return this._logOperation('info', 'migrate', name, () => this.migrateV2(name));
 			}
 		});
 	}
@@ -656,10 +964,9 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 	 */
 	migrateV2(orgName) {
 		const fse = require('fs-extra');
-		const name = this.namingStrategy.nameToFilesystem(orgName);
-		const libdir = this.libraryDirectory(name);
-		const v1descriptorFile = this.descriptorFileV1(name, libdir);
-		const v2descriptorFile = this.descriptorFileV2(name, libdir);
+		const libdir = this.libraryDirectory(orgName);
+		const v1descriptorFile = this.descriptorFileV1(orgName);
+		const v2descriptorFile = this.descriptorFileV2(orgName);
 
 		const v1test = path.join(libdir, firmwareDir, testDir);
 		const v2test = path.join(libdir, testDir, unitDir);
@@ -785,7 +1092,7 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 		if (desc.architectures) {
 			desc.architectures = desc.architectures.split(',');
 		}
-		return desc;
+		return replaceDependencies(desc);
 	}
 
 	_requireV2Format(libname) {
@@ -823,8 +1130,7 @@ export class FileSystemLibraryRepository extends AbstractLibraryRepository {
 	 * @returns {Promise} to create the adapter header files.
 	 */
 	_addAdapters(callback, libname, dir) {
-		const name = this.namingStrategy.nameToFilesystem(libname);
-		const libdir = this.libraryDirectory(name);
+		const libdir = this.libraryDirectory(libname);
 		return this.fetch(libname)
 			.then(lib => {
 				const libsrcdir = path.join(libdir, 'src');
@@ -0,0 +1,155 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { AbstractLibrary, LibraryRepositoryError } from './librepo';
+import { libraryProperties, parseLibraryProperties } from './librepo_fs';
+import { MirrorLibraryRepository } from './librepo_mirror';
+import { logOperation } from './logger';
+const childProcess = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const promisify = require('es6-promisify');
+const properties = require('properties-parser');
+const semver = require('semver');
+const tmp = require('tmp');
+
+// large enough for the archive of any library
+const maxOutput = 256 * 1024 * 1024;
+
+/**
+ * Runs a git command.
+ * @param {Array<string>} args The arguments to git.
+ * @returns {Promise.<Buffer>} The output of the command. The promise is rejected with the error output
+ * when the command fails.
+ */
+function git(args) {
+	return new Promise((fulfill, reject) => {
+		childProcess.execFile('git', args, { encoding: 'buffer', maxBuffer: maxOutput }, (error, stdout, stderr) => {
+			if (error) {
+				error.message = `${error.message.trim()}\n${stderr.toString('utf8').trim()}`;
+				reject(error);
+			} else {
+				fulfill(stdout);
+			}
+		});
+	});
+}
+
+/**
+ * A library at a tag in a git repository.
+ */
+export class GitLibrary extends AbstractLibrary {
+	/**
+	 * @param {string} name The name of the library.
+	 * @param {object} metadata The library descriptor at the tag.
+	 * @param {string} tag The tag of this library version.
+	 * @param {string} gitDir The local clone of the git repository.
+	 * @param {GitLibraryRepository} repo The repo containing the library.
+	 */
+	constructor(name, metadata, tag, gitDir, repo) {
+		super(name, metadata, repo);
+		this.tag = tag;
+		this.gitDir = gitDir;
+	}
+
+	/**
+	 * Checks out the files of the library at its tag into a directory, as `_copyArchiveTo()` does with the tar
+	 * archive of the tag produced by `git archive`.
+	 * @param {string} dir The directory to check out the library to.
+	 * @param {object} options The `sha256` checksum and the `replace` flag, as for `_copyArchiveTo()`.
+	 * @returns {Promise.<GitLibrary>} this library.
+	 */
+	copyTo(dir, options) {
+		const archive = () => git(['--git-dir', this.gitDir, 'archive', '--format=tar', `refs/tags/${this.tag}`]);
+		return this._copyArchiveTo(archive, dir, options);
+	}
+}
+
+/**
+ * A library repository for libraries kept in git repositories, one library per git repository. Each tag that is
+ * a semver version, such as `1.2.0` or `v1.2.0`, is a version of the library, described by the `library.properties`
+ * file at the tag. Tags without a `library.properties` file naming the library are ignored.
+ *
+ * The repositories are cloned with the local `git` binary, so any URL that git supports can be used, including
+ * the path of a local repository.
+ */
+export class GitLibraryRepository extends MirrorLibraryRepository {
+
+	/**
+	 * @param {Array<string>} repositories The URLs of the git repositories.
+	 * @param {string} directory The directory to clone the repositories to. When not given, a temporary directory
+	 * is used. Existing clones in the directory are updated.
+	 * @param {object} logger The logger for the operations of this repo.
+	 */
+	constructor(repositories, directory, { logger } = {}) {
+		super(directory, { logger });
+		this.repositories = repositories;
+	}
+
+	/**
+	 * Clones the repositories and reads the library descriptor at each version tag.
+	 * @returns {Promise.<Array<object>>} The `name`, `version`, `tag`, `gitDir` and `metadata` of each library
+	 * version.
+	 */
+	index() {
+		return this._cacheIndex(() => {
+			if (!this.directory) {
+				this.directory = tmp.dirSync({ unsafeCleanup: true }).name;
+			}
+			return Promise.all(this.repositories.map(url => this._clone(url)
+				.then(gitDir => this._readTags(gitDir))
+				.catch(error => {
+					throw new LibraryRepositoryError(this, error, 'unable to read git repository "%s"', url);
+				})))
+				.then(lists => [].concat(...lists));
+		});
+	}
+
+	_clone(url) {
+		const name = crypto.createHash('sha256').update(url).digest('hex').substring(0, 16);
+		const gitDir = path.join(this.directory, `${name}.git`);
+		const update = () => promisify(fs.stat)(gitDir)
+			.then(() => git(['--git-dir', gitDir, 'fetch', '--quiet', '--prune', 'origin', '+refs/tags/*:refs/tags/*']),
+				() => git(['clone', '--bare', '--quiet', '--', url, gitDir]));
+		return logOperation(this.logger, 'debug', { operation: 'clone', message: url }, update)
+			.then(() => gitDir);
+	}
+
+	_readTags(gitDir) {
+		return git(['--git-dir', gitDir, 'tag', '--list'])
+			.then(output => output.toString('utf8').split('\n')
+				.filter(tag => tag && semver.valid(tag))
+				.sort((a, b) => semver.compare(a, b)))
+			.then(tags => Promise.all(tags.map(tag => this._readEntry(gitDir, tag))))
+			.then(entries => entries.filter(entry => entry && entry.name));
+	}
+
+	_readEntry(gitDir, tag) {
+		return git(['--git-dir', gitDir, 'show', `refs/tags/${tag}:${libraryProperties}`])
+			.then(content => {
+				const metadata = parseLibraryProperties(properties.parse(content.toString('utf8')));
+				return { name: metadata.name, version: semver.valid(tag), tag, gitDir, metadata };
+			}, () => undefined);
+	}
+
+	_createLibrary(entry) {
+		return new GitLibrary(entry.name, entry.metadata, entry.tag, entry.gitDir, this);
+	}
+}
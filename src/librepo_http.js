@@ -0,0 +1,134 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { AbstractLibrary, LibraryRepositoryError } from './librepo';
+import { MirrorLibraryRepository } from './librepo_mirror';
+import { verifyArchive } from './archive';
+import { logOperation } from './logger';
+const request = require('superagent');
+const url = require('url');
+
+/**
+ * Determines the URL of an archive listed in an index.
+ * @param {string} indexUrl The URL of the index.
+ * @param {string} archive The archive, either an absolute URL or a path relative to the index.
+ * @returns {string} The URL of the archive.
+ */
+function archiveUrl(indexUrl, archive) {
+	if (/^[a-z][a-z0-9+.-]*:/i.test(archive)) {
+		return archive;
+	}
+	// the path segments are file names, which may contain characters that are special in URLs
+	return url.resolve(indexUrl, archive.split('/').map(encodeURIComponent).join('/'));
+}
+
+/**
+ * A library served by a static HTTP index. Like a library from the cloud, the metadata has a `download()`
+ * function that retrieves the library archive.
+ */
+export class HttpLibrary extends AbstractLibrary {
+	constructor(name, metadata, repo) {
+		super(name, metadata, repo);
+	}
+
+	/**
+	 * Downloads the library archive and extracts it to a directory, as `_copyArchiveTo()` does.
+	 * @param {string} dir The directory to extract the library to.
+	 * @param {object} options The `sha256` checksum and the `replace` flag, as for `_copyArchiveTo()`.
+	 * @returns {Promise.<HttpLibrary>} this library.
+	 */
+	copyTo(dir, options) {
+		return this._copyArchiveTo(() => this.metadata.download(), dir, options);
+	}
+}
+
+/**
+ * A library repository served by any static file server, such as a private library registry. The repo reads
+ * an index in the format written by `mirrorLibraries()`, so a mirror directory can be published as is.
+ * Archive paths in the index are relative to the index URL, or can be absolute URLs. When an entry has a
+ * `sha256` checksum, the downloaded archive is verified against it.
+ */
+export class HttpLibraryRepository extends MirrorLibraryRepository {
+
+	/**
+	 * @param {string} indexUrl The URL of the index, such as `https://libraries.example.com/index.json`.
+	 * @param {object} logger The logger for the operations of this repo.
+	 */
+	constructor(indexUrl, { logger } = {}) {
+		super(undefined, { logger });
+		this.indexUrl = indexUrl;
+	}
+
+	_indexLocation() {
+		return this.indexUrl;
+	}
+
+	_readIndex(location) {
+		return this._get(location)
+			.then(content => content.toString('utf8'));
+	}
+
+	/**
+	 * Retrieves the content at a URL.
+	 * @param {string} location The URL to retrieve.
+	 * @param {function} onData Called as content is received with the number of bytes received so far, and the
+	 * total size of the content when the server provides it.
+	 * @returns {Promise.<Buffer>} The content.
+	 */
+	_get(location, onData) {
+		const get = () => request.get(location)
+			.buffer(true)
+			.parse((response, callback) => {
+				const chunks = [];
+				let received = 0;
+				const total = Number(response.headers['content-length']) || undefined;
+				response.on('data', chunk => {
+					chunks.push(chunk);
+					received += chunk.length;
+					if (onData) {
+						onData(received, total);
+					}
+				});
+				response.on('end', () => callback(null, Buffer.concat(chunks)));
+				response.on('error', callback);
+			})
+			.then(response => response.body);
+		return logOperation(this.logger, 'debug', { operation: 'get', message: location }, get)
+			.catch(error => {
+				throw new LibraryRepositoryError(this, error, 'unable to retrieve "%s"', location);
+			});
+	}
+
+	/**
+	 * Downloads the archive for an index entry.
+	 * @param {object} entry The entry in the index.
+	 * @returns {Promise.<Buffer>} The archive.
+	 */
+	_download(entry) {
+		const location = archiveUrl(this.indexUrl, entry.archive);
+		this.progress('download', entry.name, { url: location });
+		return this._get(location, (bytes, total) => this.progress('received', entry.name, { bytes, total }))
+			.then(archive => verifyArchive(archive, entry.sha256, entry.name));
+	}
+
+	_createLibrary(entry) {
+		const metadata = Object.assign({}, entry.metadata, { download: () => this._download(entry) });
+		return new HttpLibrary(entry.name, metadata, this);
+	}
+}
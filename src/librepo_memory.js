@@ -0,0 +1,203 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { AbstractLibraryRepository, AbstractLibrary, LibraryNotFoundError, LibraryRepositoryError,
+	MemoryLibraryFile, selectVersion } from './librepo';
+import { FileSystemLibraryRepository, FileSystemNamingStrategy, libraryProperties } from './librepo_fs';
+import klaw from 'klaw';
+const fs = require('fs');
+const path = require('path');
+const promisify = require('es6-promisify');
+const Writable = require('stream').Writable;
+
+/**
+ * Reads the content of a library file.
+ * @param {LibraryFile} file The file to read.
+ * @returns {Promise.<Buffer>} The file content.
+ */
+function readContent(file) {
+	return new Promise((fulfill, reject) => {
+		const chunks = [];
+		const stream = new Writable({
+			write(chunk, encoding, callback) {
+				chunks.push(Buffer.from(chunk));
+				callback();
+			}
+		});
+		stream.on('finish', () => fulfill(Buffer.concat(chunks)));
+		stream.on('error', reject);
+		file.content(stream);
+	});
+}
+
+/**
+ * Creates a memory file from a path relative to the library directory.
+ * @param {string} filePath The path of the file, using `/` as the separator.
+ * @param {string|Buffer} content The file content.
+ * @returns {MemoryLibraryFile} The file.
+ */
+function memoryFile(filePath, content) {
+	const ext = path.extname(filePath);
+	const name = ext ? filePath.substring(0, filePath.length - ext.length) : filePath;
+	return new MemoryLibraryFile(name, 'source', ext.substring(1), content);
+}
+
+export class MemoryLibrary extends AbstractLibrary {
+	constructor(name, metadata, repo) {
+		super(name, metadata, repo);
+	}
+}
+
+/**
+ * A library repository that holds libraries in memory. Several versions of a library can be held, and libraries
+ * can be added from other repos, from a JSON description or from a library directory.
+ */
+export class MemoryLibraryRepository extends AbstractLibraryRepository {
+
+	/**
+	 * @param {Array<object>} libraries Libraries to seed the repo with, described as for `addJSON()`.
+	 * @param {object} logger The logger for the operations of this repo.
+	 */
+	constructor(libraries = [], { logger } = {}) {
+		super({ logger });
+		// each item has the library metadata and files
+		this.libraries = [];
+		libraries.forEach(lib => this.addJSON(lib));
+	}
+
+	/**
+	 * Adds a library from another repo. The library definition and files are copied into memory, replacing the same
+	 * version of the library if it is already present.
+	 * @param {Library} library The library to add.
+	 * @returns {Promise.<MemoryLibrary>} The library added.
+	 */
+	add(library) {
+		return Promise.all([library.definition(), library.files()])
+			.then(([definition, files]) => Promise.all(files.map(file => readContent(file)
+				.then(content => new MemoryLibraryFile(file.name, file.kind, file.extension, content))))
+				.then(copies => this._add(Object.assign({}, definition), copies)));
+	}
+
+	/**
+	 * Adds a library from a plain description, such as one parsed from a JSON file.
+	 * @param {object} description The library metadata, such as `name`, `version` and `dependencies`, and `files`,
+	 * an object that maps each file path, e.g. `src/mylib.cpp`, to the file content.
+	 * @returns {MemoryLibrary} The library added.
+	 */
+	addJSON(description) {
+		const metadata = Object.assign({}, description);
+		const files = metadata.files || {};
+		delete metadata.files;
+		if (!metadata.name) {
+			throw new LibraryRepositoryError(this, 'library has no name');
+		}
+		return this._add(metadata, Object.keys(files).map(file => memoryFile(file, files[file])));
+	}
+
+	/**
+	 * Adds the library in a directory, reading its `library.properties` and all of its files.
+	 * @param {string} directory The library directory.
+	 * @returns {Promise.<MemoryLibrary>} The library added.
+	 */
+	addDirectory(directory) {
+		const source = new FileSystemLibraryRepository(directory, FileSystemNamingStrategy.DIRECT);
+		return Promise.all([source.fetch(''), this._readFiles(directory)])
+			.then(([lib, files]) => this._add(Object.assign({}, lib.metadata), files));
+	}
+
+	_readFiles(directory) {
+		return new Promise((fulfill, reject) => {
+			const files = [];
+			klaw(directory)
+				.on('data', (item) => {
+					if (item.stats.isFile()) {
+						files.push(item.path);
+					}
+				})
+				.on('error', reject)
+				.on('end', () => fulfill(files.sort()));
+		})
+			.then(files => files.filter(file => path.relative(directory, file) !== libraryProperties))
+			.then(files => Promise.all(files.map(file => promisify(fs.readFile)(file)
+				.then(content => memoryFile(path.relative(directory, file).split(path.sep).join('/'), content)))));
+	}
+
+	_add(metadata, files) {
+		this.libraries = this.libraries.filter(lib => lib.metadata.name !== metadata.name ||
+			lib.metadata.version !== metadata.version);
+		this.libraries.push({ metadata, files });
+		return new MemoryLibrary(metadata.name, metadata, this);
+	}
+
+	names() {
+		const names = [];
+		for (const lib of this.libraries) {
+			if (!names.includes(lib.metadata.name)) {
+				names.push(lib.metadata.name);
+			}
+		}
+		return Promise.resolve(names);
+	}
+
+	versions(name) {
+		return this._libraries(name)
+			.then(libs => libs.map(lib => lib.metadata.version));
+	}
+
+	/**
+	 * Fetches a library.
+	 * @param {string} name The name of the library.
+	 * @param {string} versionOrRange The version or range of versions to fetch. When not given, the highest
+	 * version is fetched.
+	 * @returns {Promise.<MemoryLibrary>} The library.
+	 */
+	fetch(name, versionOrRange) {
+		return this._libraries(name)
+			.then(libs => {
+				const versions = libs.map(lib => lib.metadata.version);
+				const version = selectVersion(versions, versionOrRange);
+				const lib = libs.find(lib => lib.metadata.version === version);
+				if (!lib) {
+					throw new LibraryNotFoundError(this, `${name}@${versionOrRange}`);
+				}
+				return new MemoryLibrary(name, lib.metadata, this);
+			});
+	}
+
+	_libraries(name) {
+		const libs = this.libraries.filter(lib => lib.metadata.name === name);
+		if (!libs.length) {
+			return Promise.reject(new LibraryNotFoundError(this, name));
+		}
+		return Promise.resolve(libs);
+	}
+
+	_find(lib) {
+		return this.libraries.find(item => item.metadata === lib.metadata);
+	}
+
+	definition(lib) {
+		return Promise.resolve(lib.metadata);
+	}
+
+	files(lib) {
+		const item = this._find(lib);
+		return Promise.resolve(item ? item.files : []);
+	}
+}
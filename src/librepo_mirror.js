@@ -0,0 +1,269 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { AbstractLibraryRepository, AbstractLibrary, LibraryNotFoundError, LibraryRepositoryError,
+	selectVersion } from './librepo';
+import { encodeFilesystemName } from './librepo_fs';
+import { archiveChecksum, createArchive, verifyArchive } from './archive';
+const fs = require('fs');
+const path = require('path');
+const mkdirp = require('mkdirp');
+const promisify = require('es6-promisify');
+const tmp = require('tmp');
+const fse = require('fs-extra');
+
+export const mirrorIndex = 'index.json';
+const mirrorVersion = 1;
+
+/**
+ * Determines the name of the archive file for a library version.
+ * @param {string} name The name of the library.
+ * @param {string} version The version of the library.
+ * @returns {string} The archive file name, `name-version.tar.gz`, with the name encoded to be safe on all filesystems.
+ */
+export function archiveFileName(name, version) {
+	return `${encodeFilesystemName(name)}-${version}.tar.gz`;
+}
+
+// a locale-independent comparison, so the index content is the same on every machine
+function compareEntries(a, b) {
+	if (a.name !== b.name) {
+		return a.name < b.name ? -1 : 1;
+	}
+	if (a.version === b.version) {
+		return 0;
+	}
+	return a.version < b.version ? -1 : 1;
+}
+
+/**
+ * A library in a mirror. The library files are extracted from the archive in the mirror.
+ */
+export class MirrorLibrary extends AbstractLibrary {
+	/**
+	 * @param {string} name The name of the library.
+	 * @param {object} metadata The library descriptor.
+	 * @param {string} archive The file containing the library archive.
+	 * @param {MirrorLibraryRepository} repo The mirror containing the library.
+	 * @param {string} sha256 The checksum of the archive recorded in the mirror index, if any.
+	 */
+	constructor(name, metadata, archive, repo, sha256) {
+		super(name, metadata, repo);
+		this.archive = archive;
+		this.sha256 = sha256;
+	}
+
+	/**
+	 * Extracts the library to a directory, as `_copyArchiveTo()` does. The archive is also verified against the
+	 * checksum in the mirror index.
+	 * @param {string} dir The directory to extract the library to.
+	 * @param {object} options The `sha256` checksum and the `replace` flag, as for `_copyArchiveTo()`.
+	 * @returns {Promise.<MirrorLibrary>} this library.
+	 */
+	copyTo(dir, options) {
+		const archive = () => promisify(fs.readFile)(this.archive)
+			.then(buffer => verifyArchive(buffer, this.sha256, this.name));
+		return this._copyArchiveTo(archive, dir, options);
+	}
+}
+
+/**
+ * A library repository served from a snapshot directory, containing an index file and an archive for each library
+ * version. The snapshot is created by `mirrorLibraries()` and needs no network access.
+ *
+ * The index is a JSON object with a `mirrorVersion` of 1 and a `libraries` array. Each entry has the library
+ * `name` and `version`, the `archive` file relative to the index, the `sha256` hash of the archive in hex and the
+ * library `metadata`. The same snapshot can be served by a static file server and used via `HttpLibraryRepository`.
+ */
+export class MirrorLibraryRepository extends AbstractLibraryRepository {
+
+	/**
+	 * @param {string} directory The snapshot directory.
+	 * @param {object} logger The logger for the operations of this repo.
+	 */
+	constructor(directory, { logger } = {}) {
+		super({ logger });
+		this.directory = directory;
+	}
+
+	/**
+	 * Reads the entries in the mirror index. Each entry has the library `name`, `version`, `archive` file name,
+	 * `sha256` hash and `metadata`. The index is read once, unless reading it fails.
+	 * @returns {Promise.<Array<object>>} The entries in the index.
+	 */
+	index() {
+		return this._cacheIndex(() => {
+			const location = this._indexLocation();
+			return this._readIndex(location)
+				.then(content => {
+					const json = JSON.parse(content);
+					if (json.mirrorVersion !== mirrorVersion) {
+						throw new LibraryRepositoryError(this, 'unsupported mirror version %s in "%s"', json.mirrorVersion,
+							location);
+					}
+					return json.libraries;
+				});
+		});
+	}
+
+	/**
+	 * Reads the index once and keeps it for later calls. When reading fails, the failure is not kept, so the index
+	 * is read again next time, such as once the network is back.
+	 * @param {function} read Reads the index, returning a promise of the entries.
+	 * @returns {Promise.<Array<object>>} The entries in the index.
+	 */
+	_cacheIndex(read) {
+		if (!this._index) {
+			this._index = read()
+				.catch(error => {
+					this._index = undefined;
+					throw error;
+				});
+		}
+		return this._index;
+	}
+
+	_indexLocation() {
+		return path.join(this.directory, mirrorIndex);
+	}
+
+	_readIndex(file) {
+		return promisify(fs.readFile)(file, 'utf8');
+	}
+
+	names() {
+		return this.index()
+			.then(entries => {
+				const names = [];
+				for (const entry of entries) {
+					if (!names.includes(entry.name)) {
+						names.push(entry.name);
+					}
+				}
+				return names;
+			});
+	}
+
+	versions(name) {
+		return this._entries(name)
+			.then(entries => entries.map(entry => entry.version));
+	}
+
+	/**
+	 * Fetches a library from the mirror.
+	 * @param {string} name The name of the library.
+	 * @param {string} versionOrRange The version or range of versions to fetch. When not given, the highest
+	 * version in the mirror is fetched.
+	 * @returns {Promise.<MirrorLibrary>} The library.
+	 */
+	fetch(name, versionOrRange) {
+		return this._entries(name)
+			.then(entries => {
+				const versions = entries.map(entry => entry.version);
+				const version = selectVersion(versions, versionOrRange);
+				const entry = entries.find(entry => entry.version === version);
+				if (!entry) {
+					throw new LibraryNotFoundError(this, `${name}@${versionOrRange}`);
+				}
+				return this._createLibrary(entry);
+			});
+	}
+
+	_entries(name) {
+		return this.index()
+			.then(entries => {
+				const result = entries.filter(entry => entry.name === name);
+				if (!result.length) {
+					throw new LibraryNotFoundError(this, name);
+				}
+				return result;
+			});
+	}
+
+	_createLibrary(entry) {
+		const archive = path.join(this.directory, entry.archive);
+		return new MirrorLibrary(entry.name, entry.metadata, archive, this, entry.sha256);
+	}
+
+	definition(lib) {
+		return Promise.resolve(lib.metadata);
+	}
+}
+
+/**
+ * Retrieves the archive for a library. Libraries from the cloud are downloaded, and other libraries that can be
+ * copied to a directory are archived from a copy.
+ * @param {Library} lib The library to archive.
+ * @returns {Promise.<Buffer>} The library archive.
+ */
+export function libraryArchive(lib) {
+	if (lib.metadata && lib.metadata.download) {
+		return lib.metadata.download();
+	}
+	const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+	return lib.copyTo(dir)
+		.then(() => createArchive(dir))
+		.then(archive => promisify(fse.remove)(dir).then(() => archive));
+}
+
+/**
+ * Mirrors libraries from a repo into a snapshot directory, which can then be served by a `MirrorLibraryRepository`.
+ * Libraries already in the snapshot are kept, so a mirror can be extended over time.
+ * @param {LibraryRepository} repo The repo to mirror libraries from, typically a `CloudLibraryRepository`.
+ * @param {string} directory The snapshot directory.
+ * @param {Array<object>} libraries The `name` and `version` (or range) of each library to mirror, such as
+ * `Dependency` instances.
+ * @returns {Promise.<MirrorLibraryRepository>} The mirror.
+ */
+export function mirrorLibraries(repo, directory, libraries) {
+	const indexFile = path.join(directory, mirrorIndex);
+	let entries;
+	return promisify(mkdirp)(directory)
+		.then(() => new MirrorLibraryRepository(directory).index().catch(error => {
+			// a new mirror has no index yet, but an index that can't be read must not be overwritten
+			if (error.code === 'ENOENT') {
+				return [];
+			}
+			throw error;
+		}))
+		.then(existing => {
+			entries = existing;
+			// libraries are mirrored one at a time to limit the number of archives held in memory
+			return libraries.reduce((previous, { name, version }) => previous
+				.then(() => repo.fetch(name, version))
+				.then(lib => Promise.all([lib.definition(), libraryArchive(lib)]))
+				.then(([definition, archive]) => {
+					const entry = {
+						name,
+						version: definition.version,
+						archive: archiveFileName(name, definition.version),
+						sha256: archiveChecksum(archive),
+						metadata: JSON.parse(JSON.stringify(definition))
+					};
+					entries = entries.filter(other => other.name !== name || other.version !== entry.version);
+					entries.push(entry);
+					return promisify(fs.writeFile)(path.join(directory, entry.archive), archive);
+				}), Promise.resolve());
+		})
+		.then(() => {
+			const index = { mirrorVersion, libraries: entries.sort(compareEntries) };
+			return promisify(fs.writeFile)(indexFile, JSON.stringify(index, null, 2) + '\n');
+		})
+		.then(() => new MirrorLibraryRepository(directory));
+}
@@ -0,0 +1,77 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { LibraryFormatError } from './librepo';
+import { libraryProperties, parseLibraryProperties } from './librepo_fs';
+import { MirrorLibraryRepository } from './librepo_mirror';
+import { readArchiveEntry } from './archive';
+const fs = require('fs');
+const path = require('path');
+const promisify = require('es6-promisify');
+const properties = require('properties-parser');
+
+const archiveExtension = '.tar.gz';
+
+/**
+ * A library repository for a directory of library archives, such as `neopixel-0.0.10.tar.gz`, in the format
+ * produced when contributing a library. Each archive is indexed by the `library.properties` file it contains,
+ * so the archive file names are not significant. Libraries are extracted in the same way as cloud libraries.
+ */
+export class TarballLibraryRepository extends MirrorLibraryRepository {
+
+	/**
+	 * @param {string} directory The directory containing the archives.
+	 * @param {object} logger The logger for the operations of this repo.
+	 */
+	constructor(directory, { logger } = {}) {
+		super(directory, { logger });
+	}
+
+	/**
+	 * Reads the descriptor of each archive in the directory. The directory is read once, so archives
+	 * added later are seen by a new repo instance. Archives that cannot be read, or that don't describe a library,
+	 * are skipped with a warning to the logger.
+	 * @returns {Promise.<Array<object>>} The `name`, `version`, `archive` file name and `metadata` of each archive.
+	 */
+	index() {
+		return this._cacheIndex(() => promisify(fs.readdir)(this.directory)
+			.then(files => files.filter(file => file.endsWith(archiveExtension)).sort())
+			.then(files => Promise.all(files.map(file => this._readEntry(file)
+				.catch(error => {
+					this.logger.warn({ operation: 'index', message: `skipping archive "${file}"`, error });
+					return undefined;
+				}))))
+			.then(entries => entries.filter(entry => entry)));
+	}
+
+	_readEntry(file) {
+		return promisify(fs.readFile)(path.join(this.directory, file))
+			.then(archive => readArchiveEntry(archive, libraryProperties))
+			.then(content => {
+				if (content === undefined) {
+					throw new LibraryFormatError(this, file, 'archive "%s" does not contain %s', file, libraryProperties);
+				}
+				const metadata = parseLibraryProperties(properties.parse(content.toString('utf8')));
+				if (!metadata.name || !metadata.version) {
+					throw new LibraryFormatError(this, file, 'archive "%s" does not declare a library name and version', file);
+				}
+				return { name: metadata.name, version: metadata.version, archive: file, metadata };
+			});
+	}
+}
@@ -0,0 +1,230 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import VError from 'verror';
+import klaw from 'klaw';
+import { Dependency } from './dependency_resolver';
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const promisify = require('es6-promisify');
+
+export const lockfileName = 'project.lock.json';
+const lockfileVersion = 1;
+const hashAlgorithm = 'sha256';
+
+/**
+ * Raised when the libraries installed in a project do not match the lockfile.
+ */
+export class LockfileMismatchError extends VError {
+	/**
+	 * @param {Array<object>} mismatches Describes each library that does not match. Each item has
+	 * the library `name`, the `reason` (one of 'missing', 'unexpected', 'version' or 'hash') and
+	 * the `expected` and `actual` values.
+	 * @param {Array} others Additional arguments passed to VError.
+	 */
+	constructor(mismatches, ...others) {
+		const libraries = mismatches.map(m => `${m.name} (${m.reason})`);
+		super(...others, '%s', `installed libraries do not match the lockfile: ${libraries.join(', ')}`);
+		this.mismatches = mismatches;
+		this.name = 'LockfileMismatchError';
+	}
+}
+
+/**
+ * Computes a hash of the files in a directory. The hash covers the relative path and content of each file, and
+ * does not depend on the order the files are listed in by the filesystem.
+ * @param {string} directory The directory to hash.
+ * @returns {Promise.<string>} The hash, prefixed with the algorithm used, e.g. `sha256:1bc3...`
+ */
+export function hashDirectory(directory) {
+	return new Promise((fulfill, reject) => {
+		const files = [];
+		klaw(directory)
+			.on('data', (item) => {
+				if (item.stats.isFile()) {
+					files.push(item.path);
+				}
+			})
+			.on('error', reject)
+			.on('end', () => fulfill(files));
+	})
+		.then(files => Promise.all(files.map(file => hashFile(file)
+			.then(hash => `${path.relative(directory, file).split(path.sep).join('/')}\0${hash}\n`))))
+		.then(entries => {
+			const hash = crypto.createHash(hashAlgorithm);
+			entries.sort().forEach(entry => hash.update(entry));
+			return `${hashAlgorithm}:${hash.digest('hex')}`;
+		});
+}
+
+function hashFile(file) {
+	return promisify(fs.readFile)(file)
+		.then(content => crypto.createHash(hashAlgorithm).update(content).digest('hex'));
+}
+
+// a locale-independent comparison, so the lockfile content is the same on every machine
+function compareNames(a, b) {
+	if (a.name === b.name) {
+		return 0;
+	}
+	return a.name < b.name ? -1 : 1;
+}
+
+/**
+ * The libraries resolved for a project, with the exact version, source repository and content hash of each.
+ * A library may also have the `sha256` checksum of its archive, which is used to verify the archive when the
+ * library is installed again.
+ */
+export class Lockfile {
+	/**
+	 * @param {Array<object>} libraries Each item has the library `name`, `version`, `repository` and `hash`, and
+	 * optionally the archive `sha256` checksum.
+	 */
+	constructor(libraries = []) {
+		this.libraries = libraries.slice().sort(compareNames);
+	}
+
+	/**
+	 * @param {string} name The name of the library to look up.
+	 * @returns {object} The locked library with the given name, or `undefined`.
+	 */
+	library(name) {
+		return this.libraries.find(lib => lib.name === name);
+	}
+
+	/**
+	 * Provides the locked libraries as dependencies on their exact versions, so they can be fetched
+	 * again, e.g. via `CloudLibraryRepository.fetch(name, version)`.
+	 * @returns {Array<Dependency>} The locked dependencies.
+	 */
+	dependencies() {
+		return this.libraries.map(lib => new Dependency(lib.name, lib.version));
+	}
+
+	toJSON() {
+		return {
+			lockfileVersion,
+			libraries: this.libraries.map(({ name, version, repository, hash, sha256 }) => {
+				return { name, version, repository, hash, sha256 };
+			})
+		};
+	}
+
+	/**
+	 * @returns {string} The lockfile content. The same libraries always produce the same content.
+	 */
+	serialize() {
+		return JSON.stringify(this.toJSON(), null, 2) + '\n';
+	}
+
+	/**
+	 * @param {string} file The file to write the lockfile to.
+	 * @returns {Promise} to write the lockfile.
+	 */
+	write(file) {
+		return promisify(fs.writeFile)(file, this.serialize());
+	}
+
+	/**
+	 * @param {string} file The lockfile to read.
+	 * @returns {Promise.<Lockfile>} The lockfile read.
+	 */
+	static read(file) {
+		return promisify(fs.readFile)(file, 'utf8')
+			.then(content => {
+				const json = JSON.parse(content);
+				if (json.lockfileVersion !== lockfileVersion) {
+					throw new VError('unsupported lockfile version %s in "%s"', json.lockfileVersion, file);
+				}
+				return new Lockfile(json.libraries);
+			});
+	}
+}
+
+/**
+ * Creates a lockfile for a set of resolved dependencies that have been installed into a filesystem repo.
+ * @param {Array<Dependency>} dependencies The resolved dependencies, with exact versions, as produced by
+ * `DependencyResolver.resolveDependencies()`.
+ * @param {FileSystemLibraryRepository} installed The repo the libraries are installed in, typically the project `lib` folder.
+ * @param {string|function} repository Identifies the repository the libraries were fetched from. When the libraries
+ * come from different repositories, this is a function called with the name of each library that returns the
+ * repository it came from, such as one that identifies `CompositeLibraryRepository.source(name)` or `lib.repo`.
+ * @param {object} checksums The SHA-256 checksums of the library archives that were installed, keyed by library
+ * name, such as those computed with `archiveChecksum()`.
+ * @returns {Promise.<Lockfile>} The lockfile describing the installed dependencies.
+ */
+export function createLockfile(dependencies, installed, repository, checksums = {}) {
+	const source = typeof repository === 'function' ? repository : () => repository;
+	// listing the libraries locates those stored in directories with other names
+	return installed.names()
+		.then(() => Promise.all(dependencies.map(dep => {
+			const directory = installed.libraryDirectory(dep.name);
+			return hashDirectory(directory)
+				.then(hash => ({
+					name: dep.name,
+					version: dep.version,
+					repository: source(dep.name),
+					hash,
+					sha256: checksums[dep.name]
+				}));
+		})))
+		.then(libraries => new Lockfile(libraries));
+}
+
+function installedLibrary(installed, name) {
+	return installed.fetch(name)
+		.then(lib => lib.definition())
+		.then(definition => hashDirectory(installed.libraryDirectory(name))
+			.then(hash => ({ name, version: definition.version, hash })));
+}
+
+/**
+ * Verifies that the libraries installed in a filesystem repo match those in a lockfile.
+ * @param {Lockfile} lockfile The lockfile to verify against.
+ * @param {FileSystemLibraryRepository} installed The repo the libraries are installed in.
+ * @returns {Promise.<Lockfile>} The lockfile. Rejects with a `LockfileMismatchError` when a library is missing,
+ * not in the lockfile, or differs in version or content.
+ */
+export function verifyLockfile(lockfile, installed) {
+	return installed.names()
+		.then(names => Promise.all(names.map(name => installedLibrary(installed, name))))
+		.then(libraries => {
+			const mismatches = [];
+			for (const locked of lockfile.libraries) {
+				const actual = libraries.find(lib => lib.name === locked.name);
+				if (!actual) {
+					mismatches.push({ name: locked.name, reason: 'missing', expected: locked.version, actual: undefined });
+				} else if (actual.version !== locked.version) {
+					mismatches.push({ name: locked.name, reason: 'version', expected: locked.version, actual: actual.version });
+				} else if (actual.hash !== locked.hash) {
+					mismatches.push({ name: locked.name, reason: 'hash', expected: locked.hash, actual: actual.hash });
+				}
+			}
+			for (const actual of libraries) {
+				if (!lockfile.library(actual.name)) {
+					mismatches.push({ name: actual.name, reason: 'unexpected', expected: undefined, actual: actual.version });
+				}
+			}
+			if (mismatches.length) {
+				throw new LockfileMismatchError(mismatches);
+			}
+			return lockfile;
+		});
+}
@@ -0,0 +1,109 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import VError from 'verror';
+
+/**
+ * The log levels, from the most to the least severe.
+ *
+ * A logger is any object with a method for each level, such as `console` or a pino or bunyan logger. Each
+ * method is called with a structured record: the `operation` performed, the `library` it was performed on, when
+ * there is one, the `elapsed` time of the operation in milliseconds, when it has completed, and optionally a
+ * `message` and the `error` the operation failed with.
+ */
+export const logLevels = ['error', 'warn', 'info', 'debug'];
+
+/**
+ * A logger that discards all records. Repositories and the contributor use this logger unless given another.
+ */
+export const nullLogger = Object.freeze({
+	error() {},
+	warn() {},
+	info() {},
+	debug() {}
+});
+
+/**
+ * Formats a log record as a single line of text.
+ * @param {string} level The level of the record.
+ * @param {object} record The record.
+ * @returns {string} The text.
+ */
+export function formatLogRecord(level, record) {
+	const parts = [`[${level}]`, record.operation];
+	if (record.library) {
+		parts.push(record.library);
+	}
+	if (record.message) {
+		parts.push(record.message);
+	}
+	if (record.elapsed !== undefined) {
+		parts.push(`(${record.elapsed}ms)`);
+	}
+	if (record.error) {
+		parts.push(`failed: ${record.error.message || record.error}`);
+	}
+	return parts.join(' ');
+}
+
+function writeToConsole(level, record) {
+	// stdout is left to the tools using this library
+	console.error(formatLogRecord(level, record)); // eslint-disable-line no-console
+}
+
+/**
+ * Creates a logger that writes the records at a level and the levels more severe than it.
+ * @param {string} level The least severe level written, such as `info`.
+ * @param {function} write Called with the level and the record of each record written. By default, the records
+ * are formatted with `formatLogRecord()` and written to stderr.
+ * @returns {object} The logger.
+ */
+export function createLogger({ level = 'info', write = writeToConsole } = {}) {
+	const threshold = logLevels.indexOf(level);
+	if (threshold < 0) {
+		throw new VError('unknown log level "%s"', level);
+	}
+	const logger = {};
+	logLevels.forEach((name, index) => {
+		logger[name] = index <= threshold ? record => write(name, record) : () => {};
+	});
+	return logger;
+}
+
+/**
+ * Runs an operation, logging the time it took once it completes or fails.
+ * @param {object} logger The logger to log to.
+ * @param {string} level The level to log the operation at.
+ * @param {object} record The record describing the operation, such as `{ operation: 'fetch', library: 'neopixel' }`.
+ * @param {function} run Runs the operation, returning a promise or a value.
+ * @returns {Promise} The result of the operation.
+ */
+export function logOperation(logger, level, record, run) {
+	const start = Date.now();
+	const completed = (details) => logger[level](Object.assign({}, record, { elapsed: Date.now() - start }, details));
+	return Promise.resolve()
+		.then(run)
+		.then(result => {
+			completed();
+			return result;
+		}, error => {
+			completed({ error });
+			throw error;
+		});
+}
@@ -0,0 +1,288 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import VError from 'verror';
+import { Dependency, DependencyResolver, DependencyResolverSession, declaredDependencies, satisfiesVersion }
+	from './dependency_resolver';
+import { FileSystemLibraryRepository } from './librepo_fs';
+const fs = require('fs');
+const path = require('path');
+const promisify = require('es6-promisify');
+const properties = require('properties-parser');
+const mkdirp = require('mkdirp');
+const fse = require('fs-extra');
+const semver = require('semver');
+
+export const projectProperties = 'project.properties';
+export const projectLibDir = 'lib';
+
+/**
+ * Reads the dependencies declared in a project's `project.properties` file.
+ * @param {string} projectDir The project directory.
+ * @returns {Promise.<Array<Dependency>>} The libraries the project depends upon.
+ */
+export function projectDependencies(projectDir) {
+	return promisify(properties.read)(path.join(projectDir, projectProperties))
+		.then(props => declaredDependencies(props).map(dep => new Dependency(dep.name, dep.version)));
+}
+
+/**
+ * Copies a library into a filesystem repo, replacing any existing library of the same name.
+ * @param {Library} lib The library to install.
+ * @param {FileSystemLibraryRepository} target The repo to install the library into.
+ * @param {string} name The name of the library.
+ * @param {string} sha256 The expected checksum of the library archive, for libraries copied from an archive.
+ * @returns {Promise.<string>} The checksum of the library archive installed, or `undefined` for a library that was
+ * not copied from an archive.
+ */
+function installLibrary(lib, target, name, sha256) {
+	const dir = target.libraryDirectory(name);
+	if (lib.copyTo) {
+		// the library is replaced in a single rename, so an interrupted install doesn't leave a partial library
+		return lib.copyTo(dir, { sha256, replace: true })
+			.then(() => lib.archiveSha256);
+	}
+	return promisify(fse.remove)(dir)
+		.then(() => target.add(lib))
+		.then(() => undefined);
+}
+
+function lockedChecksum(lockfile, dependency) {
+	const locked = lockfile && lockfile.library(dependency.name);
+	return locked && locked.version === dependency.version ? locked.sha256 : undefined;
+}
+
+/**
+ * Determines if a library is already installed at the given version.
+ * @param {FileSystemLibraryRepository} target The repo libraries are installed in.
+ * @param {Dependency} dependency The library and exact version.
+ * @returns {Promise.<boolean>} true if the library is installed at the version required.
+ */
+function isInstalled(target, dependency) {
+	return target.fetch(dependency.name)
+		.then(lib => lib.definition())
+		.then(definition => definition.version === dependency.version)
+		.catch(() => false);
+}
+
+/**
+ * Resolves the dependencies declared in a project's `project.properties` and installs the libraries into the
+ * project `lib` folder, as `lib/<name>`. Libraries already installed at the resolved version are left as they are.
+ * Libraries in the `lib` folder that are no longer needed are removed when the previous lockfile lists them, since
+ * they were installed by a previous install. Other libraries, such as those copied into `lib` by hand, are kept and
+ * reported as `extraneous`.
+ * @param {string} projectDir The project directory.
+ * @param {LibraryRepository} repo The repo to fetch libraries from.
+ * @param {DependencyResolver} resolver Resolves the project dependencies.
+ * @param {Lockfile} lockfile The lockfile of the previous install, if any. The archive of each library installed is
+ * verified against the `sha256` checksum recorded in the lockfile for the same version, and an
+ * `ArchiveIntegrityError` is raised on a mismatch.
+ * @returns {Promise.<object>} A report with the `dependencies` resolved, the names of the libraries `installed`,
+ * those `unchanged`, those `removed` and those `extraneous`, and the `checksums` of the library archives, keyed by
+ * library name, which can be recorded with `createLockfile()`. Unchanged libraries keep the checksum in the lockfile.
+ */
+export function installDependencies(projectDir, repo, resolver = new DependencyResolver(), { lockfile } = {}) {
+	const target = new FileSystemLibraryRepository(path.join(projectDir, projectLibDir));
+	const session = new DependencyResolverSession(repo);
+	const report = { dependencies: [], installed: [], unchanged: [], removed: [], extraneous: [], checksums: {} };
+	return projectDependencies(projectDir)
+		.then(roots => resolver.collectDependencies(session, roots))
+		.then(dependencies => resolver.resolveDependencies(session, dependencies))
+		.then(dependencies => {
+			report.dependencies = dependencies;
+			return promisify(mkdirp)(target.path);
+		})
+		.then(() => Promise.all(report.dependencies.map(dependency => {
+			const locked = lockedChecksum(lockfile, dependency);
+			const recordChecksum = (checksum) => {
+				if (checksum) {
+					report.checksums[dependency.name] = checksum;
+				}
+			};
+			return isInstalled(target, dependency)
+				.then(installed => {
+					if (installed) {
+						recordChecksum(locked);
+						return 'unchanged';
+					}
+					return session.library(new Dependency(dependency.name, dependency.version))
+						.then(lib => installLibrary(lib, target, dependency.name, locked))
+						.then(checksum => {
+							recordChecksum(checksum);
+							return 'installed';
+						});
+				});
+		})))
+		.then(outcomes => {
+			report.dependencies.forEach((dependency, index) => report[outcomes[index]].push(dependency.name));
+			return target.names();
+		})
+		.then(names => {
+			const needed = report.dependencies.map(dep => dep.name);
+			const unneeded = names.filter(name => !needed.includes(name));
+			report.removed = unneeded.filter(name => lockfile && lockfile.library(name));
+			report.extraneous = unneeded.filter(name => !report.removed.includes(name));
+			return Promise.all(report.removed.map(name => promisify(fse.remove)(target.libraryDirectory(name))));
+		})
+		.then(() => report);
+}
+
+/**
+ * Compares the version of a library installed in a filesystem repo with the versions available from another repo.
+ * @param {FileSystemLibraryRepository} installed The repo the library is installed in.
+ * @param {LibraryRepository} repo The repo to look up available versions in, such as `CloudLibraryRepository`.
+ * @param {string} name The name of the library.
+ * @param {string} range The version range the library is declared with, or `undefined` if it is not declared.
+ * @returns {Promise.<object>} The `name` of the library, the `current` version installed, the `wanted` version -
+ * the highest available version matching `range` - and the `latest` version available. `outdated` is true when the
+ * current version is older than the latest, so a library installed from a newer source is not reported.
+ */
+function outdatedLibrary(installed, repo, name, range) {
+	return Promise.all([
+		installed.fetch(name).then(lib => lib.definition()),
+		repo.versions(name).catch(error => {
+			// other errors, such as the repo being unreachable, would make the report wrong
+			if (error.name === 'LibraryNotFoundError') {
+				return [];
+			}
+			throw error;
+		})
+	])
+		.then(([definition, versions]) => {
+			const current = definition.version;
+			const available = versions.filter(version => semver.valid(version));
+			const latest = available.length ? available.sort(semver.rcompare)[0] : undefined;
+			const wanted = range ? semver.maxSatisfying(available, range) || undefined : current;
+			const outdated = latest !== undefined && Boolean(semver.valid(current)) && semver.lt(current, latest);
+			return { name, current, wanted, latest, range, outdated };
+		});
+}
+
+/**
+ * Reports, for each library installed in a filesystem repo, the current version, the version wanted by the
+ * declared dependencies and the latest version available, in the same way as `npm outdated`.
+ * @param {FileSystemLibraryRepository} installed The repo the libraries are installed in, typically the project `lib` folder.
+ * @param {LibraryRepository} repo The repo to compare against, typically a `CloudLibraryRepository`. The repo must
+ * provide a `versions(name)` method. Libraries not found in the repo have no `latest` version, and other errors from
+ * the repo, such as it being unreachable, fail the report.
+ * @param {Array<Dependency>} declared The declared dependencies, such as those from `projectDependencies()`,
+ * which provide the range for each library. Libraries without a declared range want their current version.
+ * @returns {Promise.<Array<object>>} One item for each installed library, as described by `outdatedLibrary()`, in
+ * the order the libraries are listed by the repo.
+ */
+export function outdatedLibraries(installed, repo, declared = []) {
+	return installed.names()
+		.then(names => Promise.all(names.map(name => {
+			const dependency = declared.find(dep => dep.name === name);
+			return outdatedLibrary(installed, repo, name, dependency && dependency.version);
+		})));
+}
+
+let backupCounter = 0;
+
+function exists(file) {
+	return promisify(fs.stat)(file)
+		.then(() => true, () => false);
+}
+
+function setProjectDependency(file, name, version) {
+	return promisify(properties.createEditor)(file)
+		.then(editor => {
+			editor.set(`dependencies.${name}`, version);
+			return promisify(editor.save.bind(editor))(file);
+		});
+}
+
+/**
+ * Upgrades a library installed in a project's `lib` folder to the highest version available that satisfies a range,
+ * and sets the `dependencies.<name>` property in the project's `project.properties` to the version installed.
+ * The existing library directory is kept as a backup until the upgrade completes. If any step fails, the library
+ * directory and `project.properties` are restored as they were.
+ * @param {string} projectDir The project directory.
+ * @param {LibraryRepository} repo The repo to fetch the new version from.
+ * @param {string} name The name of the library to upgrade.
+ * @param {string} range The versions acceptable for the upgrade, e.g. `^1.2.0`.
+ * @returns {Promise.<object>} The `name` of the library, the `previous` version installed (`undefined` if it
+ * was not installed), the `version` installed and the `sha256` checksum of its archive, when it was copied from one.
+ */
+export function upgradeLibrary(projectDir, repo, name, range) {
+	const target = new FileSystemLibraryRepository(path.join(projectDir, projectLibDir));
+	const propertiesFile = path.join(projectDir, projectProperties);
+	const report = { name, previous: undefined, version: undefined, sha256: undefined };
+	let dir;
+	let backup;
+	let original;
+	let backedUp = false;
+	let lib;
+
+	const rollback = (error) => {
+		return promisify(fse.remove)(dir)
+			.then(() => backedUp && promisify(fs.rename)(backup, dir))
+			.then(() => original !== undefined && promisify(fs.writeFile)(propertiesFile, original))
+			.then(() => {
+				throw new VError(error, 'unable to upgrade library %s', name);
+			});
+	};
+
+	return promisify(fs.readFile)(propertiesFile, 'utf8')
+		.then(content => {
+			original = content;
+			return target.fetch(name)
+				.then(installed => installed.definition())
+				.then(definition => definition.version, () => undefined);
+		})
+		.then(previous => {
+			// the library is located once fetched, since it may be stored in a directory with another name
+			dir = path.resolve(target.libraryDirectory(name));
+			// hidden, so the backup isn't listed or built as a library if the upgrade is interrupted
+			backup = path.join(path.dirname(dir), `.${path.basename(dir)}.${process.pid}.${backupCounter++}.old`);
+			report.previous = previous;
+			return repo.fetch(name, range)
+				.catch(error => {
+					if (error.name === 'LibraryNotFoundError') {
+						throw new VError(error, 'no version of library %s satisfies %s', name, range);
+					}
+					throw error;
+				});
+		})
+		.then(fetched => {
+			lib = fetched;
+			return lib.definition();
+		})
+		.then(definition => {
+			if (!satisfiesVersion(definition.version, range)) {
+				throw new VError('library %s version %s does not satisfy %s', name, definition.version, range);
+			}
+			report.version = definition.version;
+			return promisify(mkdirp)(target.path);
+		})
+		.then(() => promisify(fse.remove)(backup))
+		.then(() => exists(dir))
+		.then(installed => installed && promisify(fs.rename)(dir, backup).then(() => {
+			backedUp = true;
+		}))
+		.then(() => installLibrary(lib, target, name)
+			.then(checksum => {
+				report.sha256 = checksum;
+				return setProjectDependency(propertiesFile, name, report.version);
+			})
+			.catch(rollback))
+		.then(() => promisify(fse.remove)(backup))
+		.then(() => report);
+}
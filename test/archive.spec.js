@@ -0,0 +1,251 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { expect } from './test-setup';
+import { createArchive, extractArchive, extractArchiveFile, readArchiveEntry, archiveChecksum, verifyArchive,
+	installArchive } from '../src/archive';
+const tar = require('tar-stream');
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+
+tmp.setGracefulCleanup();
+
+describe('archive', () => {
+	const tarball = path.join(__dirname, 'fixtures', 'tarball.tar.gz');
+	let dir;
+
+	beforeEach(() => {
+		dir = tmp.dirSync({ unsafeCleanup: true }).name;
+	});
+
+	it('extracts a tar.gz archive to a directory', () => {
+		return extractArchive(fs.readFileSync(tarball), dir)
+			.then(() => {
+				expect(fs.existsSync(path.join(dir, 'library.properties'))).to.be.true;
+				expect(fs.existsSync(path.join(dir, 'src', 'neopixel.cpp'))).to.be.true;
+				expect(fs.existsSync(path.join(dir, 'examples', 'a-rainbow', 'a-rainbow.cpp'))).to.be.true;
+			});
+	});
+
+	it('reports each file extracted', () => {
+		const entries = [];
+		return extractArchive(fs.readFileSync(tarball), dir, { onEntry: (name, count) => entries.push([name, count]) })
+			.then(files => {
+				expect(files).to.equal(entries.length);
+				expect(entries.map(entry => entry[0])).to.include('src/neopixel.cpp');
+				expect(entries.map(entry => entry[1])).to.deep.equal(entries.map((entry, index) => index + 1));
+			});
+	});
+
+	it('extracts an archive file, creating the directory', () => {
+		const target = path.join(dir, 'neopixel');
+		return extractArchiveFile(tarball, target)
+			.then(() => expect(fs.existsSync(path.join(target, 'src', 'neopixel.h'))).to.be.true);
+	});
+
+	it('fails when the archive is not valid', () => {
+		const buffer = Buffer.alloc(2000);
+		return expect(extractArchive(buffer, dir)).to.eventually.be.rejected;
+	});
+
+	it('creates an archive that can be extracted', () => {
+		fs.mkdirSync(path.join(dir, 'lib'));
+		fs.mkdirSync(path.join(dir, 'lib', 'src'));
+		fs.writeFileSync(path.join(dir, 'lib', 'library.properties'), 'name=lib\n');
+		fs.writeFileSync(path.join(dir, 'lib', 'src', 'lib.cpp'), '// lib');
+		return createArchive(path.join(dir, 'lib'))
+			.then(archive => extractArchive(archive, path.join(dir, 'copy')))
+			.then(() => {
+				expect(fs.readFileSync(path.join(dir, 'copy', 'library.properties'), 'utf8')).to.equal('name=lib\n');
+				expect(fs.readFileSync(path.join(dir, 'copy', 'src', 'lib.cpp'), 'utf8')).to.equal('// lib');
+			});
+	});
+
+	describe('untrusted archives', () => {
+		// creates an uncompressed archive with the given entries
+		function archiveOf(entries) {
+			return new Promise((fulfill, reject) => {
+				const pack = tar.pack();
+				const chunks = [];
+				pack.on('data', chunk => chunks.push(chunk));
+				pack.on('end', () => fulfill(Buffer.concat(chunks)));
+				pack.on('error', reject);
+				entries.forEach(entry => pack.entry(entry, entry.content));
+				pack.finalize();
+			});
+		}
+
+		function expectRefused(entries, entry, message, options) {
+			const target = path.join(dir, 'lib');
+			return archiveOf(entries)
+				.then(archive => expect(extractArchive(archive, target, options)).to.be.rejected)
+				.then(error => {
+					expect(error).to.have.property('name', 'UnsafeArchiveError');
+					expect(error).to.have.property('entry', entry);
+					expect(error.message).to.contain(message);
+				});
+		}
+
+		it('refuses an entry outside the target directory', () => {
+			return expectRefused([{ name: 'ok.txt', content: 'ok' }, { name: '../../escape.txt', content: 'x' }],
+				'../../escape.txt', 'outside the target directory')
+				.then(() => {
+					expect(fs.existsSync(path.join(dir, 'escape.txt'))).to.be.false;
+					expect(fs.existsSync(path.join(dir, '..', 'escape.txt'))).to.be.false;
+				});
+		});
+
+		it('refuses an entry that leaves the target directory part way', () => {
+			return expectRefused([{ name: 'src/../../escape.txt', content: 'x' }], 'src/../../escape.txt',
+				'outside the target directory');
+		});
+
+		it('refuses an absolute entry', () => {
+			return expectRefused([{ name: '/tmp/escape.txt', content: 'x' }], '/tmp/escape.txt',
+				'outside the target directory');
+		});
+
+		it('refuses a symlink', () => {
+			return expectRefused([{ name: 'link', type: 'symlink', linkname: '/etc/passwd' }], 'link', 'is a link');
+		});
+
+		it('refuses a hardlink', () => {
+			return expectRefused([{ name: 'link', type: 'link', linkname: '/etc/passwd' }], 'link', 'is a link');
+		});
+
+		it('refuses an archive larger than the size limit', () => {
+			const entries = [{ name: 'a.txt', content: '12345' }, { name: 'b.txt', content: '67890' }];
+			return expectRefused(entries, 'b.txt', 'exceeds the size limit of 8 bytes', { maxSize: 8 });
+		});
+
+		it('refuses an archive with more files than the limit', () => {
+			const entries = [{ name: 'a.txt', content: 'a' }, { name: 'src/', type: 'directory' },
+				{ name: 'src/b.txt', content: 'b' }];
+			return expectRefused(entries, 'src/b.txt', 'exceeds the limit of 1 files', { maxFiles: 1 });
+		});
+
+		it('refuses a file entry with the same name as a directory entry', () => {
+			return expectRefused([{ name: 'a', type: 'directory' }, { name: 'a', content: 'x' }], 'a',
+				'unable to write archive entry "a"');
+		});
+
+		it('extracts an archive within the limits', () => {
+			const entries = [{ name: 'a.txt', content: 'a' }, { name: './src/b.txt', content: 'b' }];
+			return archiveOf(entries)
+				.then(archive => extractArchive(archive, dir, { maxFiles: 2, maxSize: 2 }))
+				.then(() => expect(fs.readFileSync(path.join(dir, 'src', 'b.txt'), 'utf8')).to.equal('b'));
+		});
+	});
+
+	describe('installArchive', () => {
+		let target;
+
+		beforeEach(() => {
+			target = path.join(dir, 'lib', 'neopixel');
+		});
+
+		function writeExisting() {
+			fs.mkdirSync(path.join(dir, 'lib'));
+			fs.mkdirSync(target);
+			fs.writeFileSync(path.join(target, 'existing.txt'), 'existing');
+		}
+
+		it('extracts the archive, creating the directory', () => {
+			return installArchive(fs.readFileSync(tarball), target)
+				.then(() => {
+					expect(fs.existsSync(path.join(target, 'src', 'neopixel.cpp'))).to.be.true;
+					expect(fs.readdirSync(path.join(dir, 'lib'))).to.deep.equal(['neopixel']);
+				});
+		});
+
+		it('extracts the archive into an empty directory', () => {
+			return installArchive(fs.readFileSync(tarball), dir)
+				.then(() => expect(fs.existsSync(path.join(dir, 'src', 'neopixel.cpp'))).to.be.true);
+		});
+
+		it('fails when the directory has content', () => {
+			writeExisting();
+			return expect(installArchive(fs.readFileSync(tarball), target)).to.eventually.be.rejected
+				.then(error => {
+					expect(error).to.have.property('name', 'DirectoryExistsError');
+					expect(error).to.have.property('directory', target);
+					expect(fs.readdirSync(target)).to.deep.equal(['existing.txt']);
+				});
+		});
+
+		it('replaces the directory when requested', () => {
+			writeExisting();
+			return installArchive(fs.readFileSync(tarball), target, { replace: true })
+				.then(() => {
+					expect(fs.existsSync(path.join(target, 'existing.txt'))).to.be.false;
+					expect(fs.existsSync(path.join(target, 'src', 'neopixel.cpp'))).to.be.true;
+					expect(fs.readdirSync(path.join(dir, 'lib'))).to.deep.equal(['neopixel']);
+				});
+		});
+
+		it('leaves the directory unchanged when extraction fails', () => {
+			writeExisting();
+			return expect(installArchive(fs.readFileSync(tarball), target, { replace: true, maxFiles: 1 })).to
+				.eventually.be.rejected.and.have.property('name', 'UnsafeArchiveError')
+				.then(() => {
+					expect(fs.readdirSync(target)).to.deep.equal(['existing.txt']);
+					expect(fs.readdirSync(path.join(dir, 'lib'))).to.deep.equal(['neopixel']);
+				});
+		});
+	});
+
+	describe('verifyArchive', () => {
+		const buffer = Buffer.from('archive');
+		const sha256 = require('crypto').createHash('sha256').update(buffer).digest('hex');
+
+		it('computes the sha256 checksum', () => {
+			expect(archiveChecksum(buffer)).to.equal(sha256);
+		});
+
+		it('accepts an archive matching the checksum', () => {
+			expect(verifyArchive(buffer, sha256, 'lib')).to.equal(buffer);
+			expect(verifyArchive(buffer, `sha256:${sha256.toUpperCase()}`, 'lib')).to.equal(buffer);
+		});
+
+		it('accepts any archive without a checksum', () => {
+			expect(verifyArchive(buffer, undefined, 'lib')).to.equal(buffer);
+		});
+
+		it('raises ArchiveIntegrityError for an archive that does not match', () => {
+			expect(() => verifyArchive(buffer, '00', 'lib')).to.throw(/archive for library 'lib' does not match/)
+				.that.has.property('name', 'ArchiveIntegrityError');
+			try {
+				verifyArchive(buffer, '00', 'lib');
+			} catch (error) {
+				expect(error).to.have.property('expected', '00');
+				expect(error).to.have.property('actual', sha256);
+			}
+		});
+	});
+
+	it('reads a single file from an archive', () => {
+		return readArchiveEntry(fs.readFileSync(tarball), 'library.properties')
+			.then(content => expect(content.toString('utf8')).to.contain('name=neopixel'));
+	});
+
+	it('reads a file that is not in an archive as undefined', () => {
+		return expect(readArchiveEntry(fs.readFileSync(tarball), 'nope.txt')).to.eventually.be.undefined;
+	});
+});
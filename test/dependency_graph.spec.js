@@ -0,0 +1,93 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { expect } from './test-setup';
+import { DependencyGraph } from '../src/dependency_graph';
+
+/**
+ * Builds a graph where a depends on b and c, b depends on c, and c depends on a.
+ * @returns {DependencyGraph} the graph.
+ */
+function makeCyclicGraph() {
+	const sut = new DependencyGraph();
+	sut.addNode('a@1.0.0', { name: 'a', range: '1.0.0', version: '1.0.0', repository: 'cloud' }, true);
+	sut.addNode('b@^1.0.0', { name: 'b', range: '^1.0.0', version: '1.2.0', repository: 'cloud' });
+	sut.addNode('c@~2.0', { name: 'c', range: '~2.0', version: undefined, repository: 'lib', conflict: true });
+	sut.addEdge('a@1.0.0', 'b@^1.0.0');
+	sut.addEdge('a@1.0.0', 'c@~2.0');
+	sut.addEdge('b@^1.0.0', 'c@~2.0');
+	sut.addEdge('c@~2.0', 'a@1.0.0');
+	return sut.markCycles();
+}
+
+describe('DependencyGraph', () => {
+
+	it('marks the edges and nodes on a cycle', () => {
+		const sut = makeCyclicGraph();
+		expect(sut.edges.filter(edge => edge.cycle)).to.deep.equal([{ from: 'c@~2.0', to: 'a@1.0.0', cycle: true }]);
+		expect(sut.nodes.map(node => node.cycle)).to.deep.equal([true, true, true]);
+	});
+
+	it('does not mark an acyclic graph', () => {
+		const sut = new DependencyGraph();
+		sut.addNode('a@1', { name: 'a', range: '1' }, true);
+		sut.addNode('b@1', { name: 'b', range: '1' });
+		sut.addEdge('a@1', 'b@1');
+		sut.markCycles();
+		expect(sut.nodes.some(node => node.cycle)).to.be.false;
+		expect(sut.edges.some(edge => edge.cycle)).to.be.false;
+	});
+
+	it('renders JSON', () => {
+		const json = JSON.parse(JSON.stringify(makeCyclicGraph()));
+		expect(json.roots).to.deep.equal(['a@1.0.0']);
+		expect(json.nodes[1]).to.deep.equal({
+			id: 'b@^1.0.0', name: 'b', range: '^1.0.0', version: '1.2.0', repository: 'cloud', conflict: false, cycle: true
+		});
+		expect(json.edges).to.have.length(4);
+	});
+
+	it('renders DOT', () => {
+		expect(makeCyclicGraph().toDot()).to.equal(
+			'digraph dependencies {\n' +
+			'\t"a@1.0.0" [label="a\\n1.0.0 -> 1.0.0\\ncloud", color=orange];\n' +
+			'\t"b@^1.0.0" [label="b\\n^1.0.0 -> 1.2.0\\ncloud", color=orange];\n' +
+			'\t"c@~2.0" [label="c\\n~2.0 -> ?\\nlib", color=red, fontcolor=red];\n' +
+			'\t"a@1.0.0" -> "b@^1.0.0";\n' +
+			'\t"a@1.0.0" -> "c@~2.0";\n' +
+			'\t"b@^1.0.0" -> "c@~2.0";\n' +
+			'\t"c@~2.0" -> "a@1.0.0" [color=red, style=dashed, label="cycle"];\n' +
+			'}\n');
+	});
+
+	it('escapes quotes in DOT identifiers', () => {
+		const sut = new DependencyGraph();
+		sut.addNode('a"b@1', { name: 'a"b', range: '1', version: '1' }, true);
+		expect(sut.toDot()).to.contain('"a\\"b@1" [label="a\\"b\\n1 -> 1\\n"];');
+	});
+
+	it('renders a tree', () => {
+		expect(makeCyclicGraph().toTree()).to.equal(
+			'`-- a@1.0.0 (1.0.0) [cloud]\n' +
+			'    +-- b@1.2.0 (^1.0.0) [cloud]\n' +
+			'    |   `-- c@? (~2.0) [lib] CONFLICT\n' +
+			'    |       `-- a@1.0.0 (1.0.0) [cloud] CYCLE\n' +
+			'    `-- c@? (~2.0) [lib] CONFLICT deduped\n');
+	});
+});
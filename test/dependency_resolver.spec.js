@@ -17,7 +17,441 @@
  ******************************************************************************
  */
 
+import { expect, sinon } from './test-setup';
+import { Dependency, DependencyResolver, DependencyResolverSession, declaredDependencies } from '../src/dependency_resolver';
+import { DependencyConflictError, satisfiesVersion } from '../src/dependency_resolver';
+import { DependencyCycleError, findCycles } from '../src/dependency_resolver';
+import { FileSystemLibraryRepository } from '../src/librepo_fs';
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a repo whose libraries are described by a map from `name@version` to the library definition.
+ * @param {object} libs The library definitions.
+ * @returns {object} a repo with a stubbed `fetch` method.
+ */
+function makeRepo(libs) {
+	const fetch = sinon.spy((name, version) => {
+		const definition = libs[`${name}@${version}`];
+		if (!definition) {
+			return Promise.reject(new Error(`no such library ${name}@${version}`));
+		}
+		return Promise.resolve({ name, definition: () => Promise.resolve(definition) });
+	});
+	return { fetch };
+}
+
 describe('DependencyResolver', () => {
 
+	describe('Dependency', () => {
+		it('has name, version and requiredBy properties', () => {
+			const parent = new Dependency('parent', '1.0.0');
+			const sut = new Dependency('child', '2.0.0', parent);
+			expect(sut.name).to.equal('child');
+			expect(sut.version).to.equal('2.0.0');
+			expect(sut.requiredBy).to.equal(parent);
+			expect(parent.requiredBy).to.be.undefined;
+		});
+
+		it('has an id combining the name and version', () => {
+			expect(new Dependency('lib', '1.2.3').id).to.equal('lib@1.2.3');
+		});
+
+		it('has a path and depth from the root', () => {
+			const root = new Dependency('a', '1');
+			const child = new Dependency('b', '1', root);
+			const grandchild = new Dependency('c', '1', child);
+			expect(grandchild.path()).to.deep.equal([root, child, grandchild]);
+			expect(grandchild.depth).to.equal(2);
+			expect(root.depth).to.equal(0);
+		});
+	});
+
+	describe('declaredDependencies', () => {
+		it('returns an empty list when there are no dependencies', () => {
+			expect(declaredDependencies({ name: 'lib' })).to.deep.equal([]);
+		});
+
+		it('reads flat dependencies.* properties', () => {
+			const definition = { name: 'lib', 'dependencies.neopixel': '0.0.10' };
+			expect(declaredDependencies(definition)).to.deep.equal([{ name: 'neopixel', version: '0.0.10' }]);
+		});
+
+		it('reads a dependencies object', () => {
+			const definition = { name: 'lib', dependencies: { a: '1.0.0', b: '2.0.0' } };
+			expect(declaredDependencies(definition)).to.deep.equal([
+				{ name: 'a', version: '1.0.0' }, { name: 'b', version: '2.0.0' }
+			]);
+		});
+
+		it('reads a dependencies array', () => {
+			const dependencies = [new Dependency('a', '1.0.0')];
+			expect(declaredDependencies({ dependencies })).to.deep.equal(dependencies);
+		});
+	});
+
+	describe('DependencyResolverSession', () => {
+		it('keeps the repo', () => {
+			const repo = {};
+			expect(new DependencyResolverSession(repo).repo).to.equal(repo);
+		});
+
+		it('fetches the declared dependencies of a library', () => {
+			const repo = makeRepo({ 'a@1.0.0': { name: 'a', 'dependencies.b': '2.0.0' } });
+			const sut = new DependencyResolverSession(repo);
+			const root = new Dependency('a', '1.0.0');
+			return sut.dependencies(root).then(deps => {
+				expect(deps).to.have.length(1);
+				expect(deps[0]).to.be.instanceof(Dependency);
+				expect(deps[0]).to.have.property('name').equal('b');
+				expect(deps[0]).to.have.property('version').equal('2.0.0');
+				expect(deps[0]).to.have.property('requiredBy').equal(root);
+				expect(repo.fetch).to.have.been.calledWith('a', '1.0.0');
+			});
+		});
+
+		it('fetches each library version only once', () => {
+			const repo = makeRepo({ 'a@1.0.0': { name: 'a' } });
+			const sut = new DependencyResolverSession(repo);
+			return sut.dependencies(new Dependency('a', '1.0.0'))
+				.then(() => sut.dependencies(new Dependency('a', '1.0.0')))
+				.then(() => {
+					expect(repo.fetch).to.have.been.calledOnce;
+				});
+		});
+
+		it('propagates errors fetching a library', () => {
+			const sut = new DependencyResolverSession(makeRepo({}));
+			return expect(sut.dependencies(new Dependency('a', '1.0.0'))).to.eventually.be.rejectedWith('no such library a@1.0.0');
+		});
+	});
+
+	describe('collectDependencies', () => {
+		const sut = new DependencyResolver();
+
+		function ids(dependencies) {
+			return dependencies.map(dep => dep.id);
+		}
+
+		it('returns an empty list for no roots', () => {
+			const session = new DependencyResolverSession(makeRepo({}));
+			return expect(sut.collectDependencies(session, [])).to.eventually.deep.equal([]);
+		});
+
+		it('returns the roots when they have no dependencies', () => {
+			const session = new DependencyResolverSession(makeRepo({ 'a@1.0.0': { name: 'a' } }));
+			return sut.collectDependencies(session, [new Dependency('a', '1.0.0')])
+				.then(result => expect(ids(result)).to.deep.equal(['a@1.0.0']));
+		});
+
+		it('collects transitive dependencies breadth first', () => {
+			const repo = makeRepo({
+				'a@1.0.0': { name: 'a', 'dependencies.b': '1.0.0', 'dependencies.c': '1.0.0' },
+				'b@1.0.0': { name: 'b', 'dependencies.d': '1.0.0' },
+				'c@1.0.0': { name: 'c' },
+				'd@1.0.0': { name: 'd' }
+			});
+			const session = new DependencyResolverSession(repo);
+			return sut.collectDependencies(session, [new Dependency('a', '1.0.0')])
+				.then(result => expect(ids(result)).to.deep.equal(['a@1.0.0', 'b@1.0.0', 'c@1.0.0', 'd@1.0.0']));
+		});
+
+		it('includes each library version once, and keeps different versions of the same library', () => {
+			const repo = makeRepo({
+				'a@1.0.0': { name: 'a', 'dependencies.c': '1.0.0' },
+				'b@1.0.0': { name: 'b', 'dependencies.c': '2.0.0' },
+				'c@1.0.0': { name: 'c' },
+				'c@2.0.0': { name: 'c' }
+			});
+			const session = new DependencyResolverSession(repo);
+			const roots = [new Dependency('a', '1.0.0'), new Dependency('b', '1.0.0'), new Dependency('a', '1.0.0')];
+			return sut.collectDependencies(session, roots)
+				.then(result => expect(ids(result)).to.deep.equal(['a@1.0.0', 'b@1.0.0', 'c@1.0.0', 'c@2.0.0']));
+		});
+
+		it('records the dependency that required each library', () => {
+			const repo = makeRepo({
+				'a@1.0.0': { name: 'a', dependencies: { b: '1.0.0' } },
+				'b@1.0.0': { name: 'b' }
+			});
+			const session = new DependencyResolverSession(repo);
+			const root = new Dependency('a', '1.0.0');
+			return sut.collectDependencies(session, [root])
+				.then(result => expect(result[1].requiredBy).to.equal(root));
+		});
+
+		it('fails when a dependency cannot be fetched', () => {
+			const repo = makeRepo({ 'a@1.0.0': { name: 'a', 'dependencies.b': '1.0.0' } });
+			const session = new DependencyResolverSession(repo);
+			return expect(sut.collectDependencies(session, [new Dependency('a', '1.0.0')]))
+				.to.eventually.be.rejectedWith('no such library b@1.0.0');
+		});
+	});
+
+	describe('satisfiesVersion', () => {
+		const cases = [
+			['1.2.3', '1.2.3', true],
+			['1.2.3', '1.2.4', false],
+			['1.4.0', '^1.2.0', true],
+			['2.0.0', '^1.2.0', false],
+			['0.3.7', '~0.3', true],
+			['0.4.0', '~0.3', false],
+			['1.9.9', '>=1.0 <2', true],
+			['2.0.0', '>=1.0 <2', false],
+			['latest', 'latest', true],
+			['latest', '^1.0.0', false]
+		];
+		for (const [version, range, expected] of cases) {
+			it(`${expected ? 'accepts' : 'rejects'} version ${version} for '${range}'`, () => {
+				expect(satisfiesVersion(version, range)).to.equal(expected);
+			});
+		}
+	});
+
+	describe('resolveDependencies', () => {
+		const sut = new DependencyResolver();
+
+		it('returns an empty list for no dependencies', () => {
+			const session = new DependencyResolverSession(makeRepo({}));
+			return expect(sut.resolveDependencies(session, [])).to.eventually.deep.equal([]);
+		});
+
+		it('resolves a range to the version fetched', () => {
+			const session = new DependencyResolverSession(makeRepo({ 'a@^1.0.0': { name: 'a', version: '1.3.0' } }));
+			return sut.resolveDependencies(session, [new Dependency('a', '^1.0.0')])
+				.then(result => {
+					expect(result).to.have.length(1);
+					expect(result[0].id).to.equal('a@1.3.0');
+				});
+		});
+
+		it('chooses the most recent version satisfying every requirement', () => {
+			const a = new Dependency('a', '1.0.0');
+			const b = new Dependency('b', '1.0.0');
+			const repo = makeRepo({
+				'c@~1.2': { name: 'c', version: '1.2.5' },
+				'c@^1.0.0': { name: 'c', version: '1.9.0' },
+				'c@>=1.0 <2': { name: 'c', version: '1.2.0' }
+			});
+			const session = new DependencyResolverSession(repo);
+			const dependencies = [new Dependency('c', '^1.0.0', a), new Dependency('c', '~1.2', b), new Dependency('c', '>=1.0 <2', a)];
+			return sut.resolveDependencies(session, dependencies)
+				.then(result => {
+					expect(result.map(dep => dep.id)).to.deep.equal(['c@1.2.5']);
+					expect(result[0].requiredBy).to.equal(b);
+				});
+		});
+
+		it('resolves each library independently, in order of first appearance', () => {
+			const repo = makeRepo({
+				'b@1.0.0': { name: 'b', version: '1.0.0' },
+				'a@^2.0.0': { name: 'a', version: '2.1.0' },
+				'a@2.0.0': { name: 'a', version: '2.0.0' }
+			});
+			const session = new DependencyResolverSession(repo);
+			const dependencies = [new Dependency('b', '1.0.0'), new Dependency('a', '^2.0.0'), new Dependency('a', '2.0.0')];
+			return sut.resolveDependencies(session, dependencies)
+				.then(result => expect(result.map(dep => dep.id)).to.deep.equal(['b@1.0.0', 'a@2.0.0']));
+		});
+
+		it('raises a DependencyConflictError when no version satisfies all requirements', () => {
+			const a = new Dependency('a', '1.0.0');
+			const b = new Dependency('b', '1.0.0');
+			const repo = makeRepo({
+				'c@^1.0.0': { name: 'c', version: '1.9.0' },
+				'c@^2.0.0': { name: 'c', version: '2.1.0' }
+			});
+			const session = new DependencyResolverSession(repo);
+			const dependencies = [new Dependency('c', '^1.0.0', a), new Dependency('c', '^2.0.0', b)];
+			return sut.resolveDependencies(session, dependencies)
+				.then(() => {
+					throw new Error('expected a conflict');
+				}, error => {
+					expect(error.name).to.equal('DependencyConflictError');
+					expect(error.library).to.equal('c');
+					expect(error.requirements).to.deep.equal([
+						{ version: '^1.0.0', requiredBy: a },
+						{ version: '^2.0.0', requiredBy: b }
+					]);
+					expect(error.message).to.equal('no version of library \'c\' satisfies \'^1.0.0\' required by a@1.0.0, \'^2.0.0\' required by b@1.0.0');
+				});
+		});
+	});
+
+	describe('DependencyConflictError', () => {
+		it('names root requirements as coming from the project', () => {
+			const sut = new DependencyConflictError('c', [new Dependency('c', '1.0.0')]);
+			expect(sut.message).to.equal('no version of library \'c\' satisfies \'1.0.0\' required by the project');
+		});
+
+		it('keeps format characters in library names and versions', () => {
+			const sut = new DependencyConflictError('100%s', [new Dependency('100%s', '%d', new Dependency('b%s', '1.0.0'))]);
+			expect(sut.message).to.equal('no version of library \'100%s\' satisfies \'%d\' required by b%s@1.0.0');
+		});
+	});
+
+	describe('graph', () => {
+		const sut = new DependencyResolver();
+
+		it('builds the graph of requirements with the versions chosen', () => {
+			const repo = makeRepo({
+				'a@1.0.0': { name: 'a', version: '1.0.0', 'dependencies.c': '^1.0.0' },
+				'b@1.0.0': { name: 'b', version: '1.0.0', 'dependencies.c': '~1.2' },
+				'c@^1.0.0': { name: 'c', version: '1.3.0' },
+				'c@~1.2': { name: 'c', version: '1.2.4' }
+			});
+			repo.name = 'testrepo';
+			const session = new DependencyResolverSession(repo);
+			return sut.graph(session, [new Dependency('a', '1.0.0'), new Dependency('b', '1.0.0')])
+				.then(graph => {
+					expect(graph.roots).to.deep.equal(['a@1.0.0', 'b@1.0.0']);
+					const nodes = graph.nodes.map(node => [node.id, node.version, node.repository, node.conflict]);
+					expect(nodes).to.deep.equal([
+						['a@1.0.0', '1.0.0', 'testrepo', false],
+						['b@1.0.0', '1.0.0', 'testrepo', false],
+						['c@^1.0.0', '1.2.4', 'testrepo', false],
+						['c@~1.2', '1.2.4', 'testrepo', false]
+					]);
+					expect(graph.edges.map(edge => [edge.from, edge.to])).to.deep.equal([
+						['a@1.0.0', 'c@^1.0.0'], ['b@1.0.0', 'c@~1.2']
+					]);
+				});
+		});
+
+		it('marks conflicts and cycles rather than failing', () => {
+			const repo = makeRepo({
+				'a@1.0.0': { name: 'a', version: '1.0.0', 'dependencies.b': '1.0.0', 'dependencies.c': '^1.0.0' },
+				'b@1.0.0': { name: 'b', version: '1.0.0', 'dependencies.a': '1.0.0', 'dependencies.c': '^2.0.0' },
+				'c@^1.0.0': { name: 'c', version: '1.0.0' },
+				'c@^2.0.0': { name: 'c', version: '2.0.0' }
+			});
+			const session = new DependencyResolverSession(repo);
+			return sut.graph(session, [new Dependency('a', '1.0.0')])
+				.then(graph => {
+					const conflicts = graph.nodes.filter(node => node.conflict);
+					expect(conflicts.map(node => node.id)).to.deep.equal(['c@^1.0.0', 'c@^2.0.0']);
+					expect(graph.edges.filter(edge => edge.cycle)).to.deep.equal([{ from: 'b@1.0.0', to: 'a@1.0.0', cycle: true }]);
+				});
+		});
+	});
+
+	describe('findCycles', () => {
+		it('finds no cycles in an acyclic graph', () => {
+			expect(findCycles(['a'], { a: ['b', 'c'], b: ['c'] })).to.deep.equal([]);
+		});
+
+		it('finds a library that depends upon itself', () => {
+			expect(findCycles(['a'], { a: ['a'] })).to.deep.equal([['a', 'a']]);
+		});
+
+		it('finds the full path of a cycle', () => {
+			expect(findCycles(['r'], { r: ['a'], a: ['b'], b: ['c'], c: ['a'] })).to.deep.equal([['a', 'b', 'c', 'a']]);
+		});
+
+		it('finds cycles reached from different roots', () => {
+			expect(findCycles(['r1', 'r2'], { r1: ['a'], r2: ['b'], a: ['b'], b: ['a'] })).to.deep.equal([['a', 'b', 'a']]);
+		});
+	});
+
+	describe('cycles and depth', () => {
+		const cyclic = {
+			'a@1.0.0': { name: 'a', version: '1.0.0', 'dependencies.b': '1.0.0' },
+			'b@1.0.0': { name: 'b', version: '1.0.0', 'dependencies.c': '1.0.0' },
+			'c@1.0.0': { name: 'c', version: '1.0.0', 'dependencies.a': '1.0.0' }
+		};
+
+		it('fails with the cycle path by default', () => {
+			const sut = new DependencyResolver();
+			const session = new DependencyResolverSession(makeRepo(cyclic));
+			return sut.collectDependencies(session, [new Dependency('a', '1.0.0')])
+				.then(() => {
+					throw new Error('expected a cycle');
+				}, error => {
+					expect(error.name).to.equal('DependencyCycleError');
+					expect(error.path).to.deep.equal(['a@1.0.0', 'b@1.0.0', 'c@1.0.0', 'a@1.0.0']);
+					expect(error.message).to.equal('dependency cycle a@1.0.0 -> b@1.0.0 -> c@1.0.0 -> a@1.0.0');
+				});
+		});
+
+		it('tolerates cycles when allowed, and records them in the session', () => {
+			const sut = new DependencyResolver({ allowCycles: true });
+			const session = new DependencyResolverSession(makeRepo(cyclic));
+			return sut.collectDependencies(session, [new Dependency('a', '1.0.0')])
+				.then(result => {
+					expect(result.map(dep => dep.id)).to.deep.equal(['a@1.0.0', 'b@1.0.0', 'c@1.0.0']);
+					expect(session.cycles).to.deep.equal([['a@1.0.0', 'b@1.0.0', 'c@1.0.0', 'a@1.0.0']]);
+				});
+		});
+
+		it('builds a graph of cyclic dependencies even when cycles are not allowed', () => {
+			const sut = new DependencyResolver();
+			const session = new DependencyResolverSession(makeRepo(cyclic));
+			return sut.graph(session, [new Dependency('a', '1.0.0')])
+				.then(graph => expect(graph.edges.filter(edge => edge.cycle)).to.have.length(1));
+		});
+
+		it('fails when dependencies are nested deeper than the maximum depth', () => {
+			const sut = new DependencyResolver({ allowCycles: true, maxDepth: 1 });
+			const session = new DependencyResolverSession(makeRepo(cyclic));
+			return sut.collectDependencies(session, [new Dependency('a', '1.0.0')])
+				.then(() => {
+					throw new Error('expected a depth error');
+				}, error => {
+					expect(error.name).to.equal('DependencyDepthError');
+					expect(error.path).to.deep.equal(['a@1.0.0', 'b@1.0.0', 'c@1.0.0']);
+					expect(error.maxDepth).to.equal(1);
+				});
+		});
+
+		it('allows dependencies up to the maximum depth', () => {
+			const sut = new DependencyResolver({ maxDepth: 2 });
+			const repo = makeRepo({
+				'a@1.0.0': { name: 'a', 'dependencies.b': '1.0.0' },
+				'b@1.0.0': { name: 'b', 'dependencies.c': '1.0.0' },
+				'c@1.0.0': { name: 'c' }
+			});
+			const session = new DependencyResolverSession(repo);
+			return expect(sut.collectDependencies(session, [new Dependency('a', '1.0.0')])).to.eventually.have.length(3);
+		});
+
+		describe('with library fixtures', () => {
+			const tmp = require('tmp');
+			const fse = require('fs-extra');
+			const transitive = path.join(__dirname, '..', 'resources', 'libraries', 'contribute', 'transitive', 'trans1');
+			let repo;
+
+			before(() => {
+				const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+				fse.copySync(transitive, path.join(dir, 'test-library-transitive-1'));
+				// neopixel depends back on the transitive library
+				fs.mkdirSync(path.join(dir, 'neopixel'));
+				fs.writeFileSync(path.join(dir, 'neopixel', 'library.properties'),
+					'name=neopixel\nversion=0.0.10\ndependencies.test-library-transitive-1=0.0.1\n');
+				repo = new FileSystemLibraryRepository(dir);
+			});
+
+			it('detects a cycle between libraries in a filesystem repo', () => {
+				const sut = new DependencyResolver();
+				const session = new DependencyResolverSession(repo);
+				return expect(sut.collectDependencies(session, [new Dependency('test-library-transitive-1', '0.0.1')]))
+					.to.eventually.be.rejectedWith('dependency cycle test-library-transitive-1@0.0.1 -> neopixel@0.0.10 -> test-library-transitive-1@0.0.1');
+			});
+
+			it('resolves the libraries when cycles are tolerated', () => {
+				const sut = new DependencyResolver({ allowCycles: true });
+				const session = new DependencyResolverSession(repo);
+				return sut.collectDependencies(session, [new Dependency('test-library-transitive-1', '0.0.1')])
+					.then(dependencies => sut.resolveDependencies(session, dependencies))
+					.then(resolved => expect(resolved.map(dep => dep.id)).to.deep.equal(['test-library-transitive-1@0.0.1', 'neopixel@0.0.10']));
+			});
+		});
+	});
 
+	describe('DependencyCycleError', () => {
+		it('has the cycle path', () => {
+			const sut = new DependencyCycleError(['a@1', 'a@1']);
+			expect(sut.path).to.deep.equal(['a@1', 'a@1']);
+			expect(sut.name).to.equal('DependencyCycleError');
+		});
+	});
 });
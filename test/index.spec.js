@@ -29,12 +29,16 @@ describe('public package interface', () => {
 			'LibraryRepositoryError',
 			'LibraryNotFoundError',
 			'LibraryFormatError',
+			'LibraryInUseError',
 			'LibraryRepository',
 			'Library',
 			'LibraryFile',
 			'MemoryLibraryFile',
 			'AbstractLibrary',
 			'AbstractLibraryRepository',
+			'highestMatchingVersion',
+			'selectVersion',
+			'matchesLibrarySearch',
 
 			// librepo_build.js
 			'BuildLibrary',
@@ -50,6 +54,9 @@ describe('public package interface', () => {
 			'FileSystemLibraryRepository',
 			'mapActionDir',
 			'getdirs',
+			'encodeFilesystemName',
+			'decodeFilesystemName',
+			'parseLibraryProperties',
 			'pathsCommonPrefix',
 			'isLibraryExample',
 
@@ -61,6 +68,48 @@ describe('public package interface', () => {
 			'CloudLibrary',
 			'CloudLibraryRepository',
 
+			// librepo_composite.js
+			'CompositeLibraryRepository',
+
+			// librepo_cache.js
+			'CachedLibrary',
+			'CachingLibraryRepository',
+
+			// librepo_mirror.js
+			'mirrorIndex',
+			'MirrorLibrary',
+			'MirrorLibraryRepository',
+			'archiveFileName',
+			'libraryArchive',
+			'mirrorLibraries',
+
+			// librepo_memory.js
+			'MemoryLibrary',
+			'MemoryLibraryRepository',
+
+			// librepo_tarball.js
+			'TarballLibraryRepository',
+
+			// librepo_git.js
+			'GitLibrary',
+			'GitLibraryRepository',
+
+			// librepo_http.js
+			'HttpLibrary',
+			'HttpLibraryRepository',
+
+			// archive.js
+			'UnsafeArchiveError',
+			'DirectoryExistsError',
+			'ArchiveIntegrityError',
+			'archiveChecksum',
+			'verifyArchive',
+			'extractArchive',
+			'installArchive',
+			'createArchive',
+			'extractArchiveFile',
+			'readArchiveEntry',
+
 			// validation.js
 			'validateField',
 			'validateMetadata',
@@ -69,6 +118,43 @@ describe('public package interface', () => {
 			'formatValidationErrors',
 			'validationMessage',
 
+			// dependency_resolver.js
+			'Dependency',
+			'DependencyConflictError',
+			'DependencyCycleError',
+			'DependencyDepthError',
+			'DependencyResolverSession',
+			'DependencyResolver',
+			'findCycles',
+			'satisfiesVersion',
+			'declaredDependencies',
+
+			// dependency_graph.js
+			'DependencyGraph',
+
+			// lockfile.js
+			'lockfileName',
+			'LockfileMismatchError',
+			'Lockfile',
+			'hashDirectory',
+			'createLockfile',
+			'verifyLockfile',
+
+			// project.js
+			'projectProperties',
+			'projectLibDir',
+			'projectDependencies',
+			'installDependencies',
+			'outdatedLibraries',
+			'upgradeLibrary',
+
+			// logger.js
+			'logLevels',
+			'nullLogger',
+			'formatLogRecord',
+			'createLogger',
+			'logOperation',
+
 			// extra
 			'appRoot',
 			'resourcesDir'
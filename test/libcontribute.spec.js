@@ -234,9 +234,22 @@ describe('LibraryContributor', () => {
 		it('calls repo.libraryDirectory and passes that to _doContribute', () => {
 			const callback = sinon.stub();
 			const dryRun = 'dryRun';
-			const result = sut.contribute(callback, libraryName, dryRun);
-			expect(result).to.be.equal(contributeResult);
-			expect(sut._doContribute).to.have.been.calledWith(callback, libraryName, libraryDirectory, dryRun);
+			return sut.contribute(callback, libraryName, dryRun)
+				.then(result => {
+					expect(result).to.be.equal(contributeResult);
+					expect(sut._doContribute).to.have.been.calledWith(callback, libraryName, libraryDirectory, dryRun);
+				});
+		});
+
+		it('logs the contribution', () => {
+			const logger = { info: sinon.stub() };
+			sut.logger = logger;
+			return sut.contribute(sinon.stub(), libraryName)
+				.then(() => {
+					expect(logger.info).to.have.been.calledOnce;
+					expect(logger.info.firstCall.args[0]).to.include({ operation: 'contribute', library: libraryName });
+					expect(logger.info.firstCall.args[0]).to.have.property('elapsed').that.is.a('number');
+				});
 		});
 
 		afterEach(() => {
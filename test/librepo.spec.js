@@ -17,9 +17,9 @@
  ******************************************************************************
  */
 
-import { LibraryNotFoundError, LibraryRepositoryError, LibraryFormatError } from '../src/librepo';
-import { LibraryRepository, Library, LibraryFile, MemoryLibraryFile } from '../src/librepo';
-import { AbstractLibrary, AbstractLibraryRepository } from '../src/librepo';
+import { LibraryNotFoundError, LibraryRepositoryError, LibraryFormatError, LibraryInUseError } from '../src/librepo';
+import { LibraryRepository, Library, LibraryFile, MemoryLibraryFile, selectVersion } from '../src/librepo';
+import { AbstractLibrary, AbstractLibraryRepository, highestMatchingVersion, matchesLibrarySearch } from '../src/librepo';
 import VError from 'verror';
 import { sinon, expect } from './test-setup';
 const Writable = require('stream').Writable;
@@ -65,6 +65,14 @@ describe('LibraryManager', () => {
 			});
 		});
 
+		describe('LibraryInUseError', () => {
+			it('has a message that may contain format characters', () => {
+				const sut = new LibraryInUseError({}, '100%s', ['50%d']);
+				expect(sut.message).to.equal('library \'100%s\' is required by 50%d');
+				expect(sut.dependents).to.deep.equal(['50%d']);
+			});
+		});
+
 		describe('LibraryFormatError', () => {
 			it('works', () => {
 				const repo = {};
@@ -130,6 +138,132 @@ describe('LibraryManager', () => {
 			return expect(sut.names()).eventually.to.have.length(0);
 		});
 
+		it('reports progress as events', () => {
+			const sut = new LibraryRepository();
+			const listener = sinon.spy();
+			sut.on('progress', listener);
+			sut.progress('received', 'uberlib', { bytes: 10, total: 20 });
+			expect(listener).to.have.been.calledWith({ type: 'received', library: 'uberlib', bytes: 10, total: 20 });
+		});
+
+		it('reports the progress of a library on the repo of the library', () => {
+			const sut = new AbstractLibraryRepository();
+			const listener = sinon.spy();
+			sut.on('progress', listener);
+			new AbstractLibrary('uberlib', {}, sut)._progress('done', { files: 2 });
+			new AbstractLibrary('nolib', {}, {})._progress('done', { files: 2 });
+			expect(listener).to.have.been.calledOnce.and.calledWith({ type: 'done', library: 'uberlib', files: 2 });
+		});
+
+		it('forwards the progress events of another repo', () => {
+			const sut = new LibraryRepository();
+			const other = new LibraryRepository();
+			const listener = sinon.spy();
+			sut.on('progress', listener);
+			sut._forwardProgress(other);
+			other.progress('download', 'uberlib');
+			expect(listener).to.have.been.calledWith({ type: 'download', library: 'uberlib' });
+		});
+
+		describe('versions', () => {
+			let sut;
+			beforeEach(() => {
+				sut = new LibraryRepository();
+				const lib = { name: 'uberlib', definition: () => Promise.resolve({ name: 'uberlib', version: '1.2.3' }) };
+				sut.fetch = sinon.stub().returns(Promise.resolve(lib));
+			});
+
+			it('lists the version of the library fetched', () => {
+				return expect(sut.versions('uberlib')).to.eventually.deep.equal(['1.2.3']);
+			});
+
+			it('resolves a range to a version', () => {
+				return expect(sut.resolveVersion('uberlib', '^1.0.0')).to.eventually.equal('1.2.3');
+			});
+
+			it('raises an error when no version matches', () => {
+				return expect(sut.resolveVersion('uberlib', '^2.0.0')).to.be.rejected.and.eventually.have.property('name')
+					.equal('LibraryNotFoundError');
+			});
+
+			it('checks the version of a fetched library', () => {
+				return sut.fetch('uberlib')
+					.then(lib => Promise.all([
+						expect(sut.checkVersion(lib, '1.2.x')).to.eventually.equal(lib),
+						expect(sut.checkVersion(lib, undefined)).to.eventually.equal(lib),
+						expect(sut.checkVersion(lib, '1.2.4')).to.be.rejectedWith('library \'uberlib@1.2.4\' not found')
+					]));
+			});
+		});
+	});
+
+	describe('highestMatchingVersion', () => {
+		it('selects the highest version in a range', () => {
+			expect(highestMatchingVersion(['1.0.0', '1.2.0', '2.0.0'], '^1.0.0')).to.equal('1.2.0');
+		});
+
+		it('matches a version exactly, even when it is not a semantic version', () => {
+			expect(highestMatchingVersion(['1.0', 'latest'], '1.0')).to.equal('1.0');
+		});
+
+		it('returns undefined when no version matches', () => {
+			expect(highestMatchingVersion(['1.0.0', 'abc'], '^2.0.0')).to.be.undefined;
+		});
+	});
+
+	describe('selectVersion', () => {
+		it('selects the highest version matching a range', () => {
+			expect(selectVersion(['1.0.0', '1.2.0', '2.0.0'], '^1.0.0')).to.equal('1.2.0');
+		});
+
+		it('selects the highest version when no range is given', () => {
+			expect(selectVersion(['1.0.0', '2.0.0', '1.2.0'])).to.equal('2.0.0');
+		});
+
+		it('selects the last version listed when no range is given and no version is valid', () => {
+			expect(selectVersion(['abc', 'latest'])).to.equal('latest');
+		});
+
+		it('returns undefined when no version matches the range', () => {
+			expect(selectVersion(['abc', 'latest'], '^1.0.0')).to.be.undefined;
+		});
+	});
+
+	describe('matchesLibrarySearch', () => {
+		const neopixel = {
+			name: 'neopixel',
+			sentence: 'Neopixel LED library',
+			paragraph: 'An implementation of the Adafruit NeoPixel library',
+			author: 'Phil Burgess',
+			architectures: ['spark-core', 'particle-photon']
+		};
+
+		it('matches every word of the query against the name, sentence and paragraph', () => {
+			expect(matchesLibrarySearch(neopixel, 'LED adafruit')).to.be.true;
+			expect(matchesLibrarySearch(neopixel, 'led servo')).to.be.false;
+		});
+
+		it('matches all libraries without a query', () => {
+			expect(matchesLibrarySearch(neopixel, '')).to.be.true;
+			expect(matchesLibrarySearch(neopixel)).to.be.true;
+		});
+
+		it('matches any of the architectures', () => {
+			expect(matchesLibrarySearch(neopixel, '', { architectures: ['particle-electron', 'particle-photon'] }))
+				.to.be.true;
+			expect(matchesLibrarySearch(neopixel, '', { architectures: 'particle-electron' })).to.be.false;
+		});
+
+		it('matches libraries that do not restrict their architectures', () => {
+			expect(matchesLibrarySearch({ name: 'any' }, '', { architectures: 'particle-electron' })).to.be.true;
+			expect(matchesLibrarySearch({ name: 'any', architectures: '*' }, '', { architectures: 'particle-electron' }))
+				.to.be.true;
+		});
+
+		it('matches the author', () => {
+			expect(matchesLibrarySearch(neopixel, '', { author: 'burgess' })).to.be.true;
+			expect(matchesLibrarySearch(neopixel, '', { author: 'someone' })).to.be.false;
+		});
 	});
 
 	describe('MemoryLibraryFile', () => {
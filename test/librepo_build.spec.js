@@ -61,6 +61,19 @@ describe('Build', () => {
 			return expect(sut.fetch('uberlib')).eventually.deep.equal(new BuildLibrary('uberlib', lib, '123', sut));
 		}));
 
+		it('fetches a library that matches the version requested', sinon.test(() => {
+			const sut = new BuildLibraryRepository({ endpoint: '$$$/' });
+			const get = sinon.stub(sut, 'get');
+			const lib = { title: 'uberlib', id: '123' };
+			get.returns(Promise.reject('unknown args'));
+			get.withArgs('libs.json', { name: 'uberlib' }).returns(Promise.resolve([lib]));
+			get.withArgs('libs/123/definition.json').returns(Promise.resolve({ name: 'uberlib', version: '1.2.3' }));
+			return Promise.all([
+				expect(sut.fetch('uberlib', '^1.0.0')).eventually.have.property('id', '123'),
+				expect(sut.fetch('uberlib', '2.0.0')).eventually.rejectedWith('library \'uberlib@2.0.0\' not found')
+			]);
+		}));
+
 		it('throws exception for unknown libraries', sinon.test(() => {
 			const sut = new BuildLibraryRepository({ endpoint: '$$$/' });
 			const get = sinon.stub(sut, 'get');
@@ -0,0 +1,260 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { expect, sinon } from './test-setup';
+import { CachingLibraryRepository, CachedLibrary } from '../src/librepo_cache';
+import { LibraryRepository } from '../src/librepo';
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+
+tmp.setGracefulCleanup();
+
+/**
+ * Creates a repo that behaves like the cloud repo, serving a couple of versions of a library.
+ * @returns {LibraryRepository} the repo.
+ */
+function makeCloud() {
+	const repo = new LibraryRepository();
+	repo.download = sinon.spy(version => Promise.resolve(Buffer.from(`archive ${version}`)));
+	repo.fetch = sinon.spy((name, version) => {
+		const metadata = { name, version, download: () => repo.download(version) };
+		return Promise.resolve(repo._createLibrary(name, metadata));
+	});
+	repo.versions = sinon.stub().returns(Promise.resolve(['1.0.0', '1.1.0', '2.0.0-rc.1']));
+	repo.names = sinon.stub().returns(Promise.resolve(['neopixel']));
+	repo.index = sinon.stub().returns(Promise.resolve([{ name: 'neopixel', version: '1.1.0' }]));
+	repo._createLibrary = (name, metadata) => ({ name, metadata, repo });
+	return repo;
+}
+
+describe('CachingLibraryRepository', () => {
+	let cloud;
+	let time;
+	let sut;
+
+	function createCache(options = {}) {
+		return new CachingLibraryRepository(Object.assign({
+			repo: cloud,
+			directory: tmp.dirSync({ unsafeCleanup: true }).name,
+			ttl: 1000,
+			now: () => time
+		}, options));
+	}
+
+	beforeEach(() => {
+		cloud = makeCloud();
+		time = 10000;
+		sut = createCache();
+	});
+
+	it('caches the index, names and versions', () => {
+		return Promise.all([sut.index(), sut.names(), sut.versions('neopixel')])
+			.then(() => Promise.all([sut.index(), sut.names(), sut.versions('neopixel')]))
+			.then(([index, names, versions]) => {
+				expect(index).to.deep.equal([{ name: 'neopixel', version: '1.1.0' }]);
+				expect(names).to.deep.equal(['neopixel']);
+				expect(versions).to.deep.equal(['1.0.0', '1.1.0', '2.0.0-rc.1']);
+				expect(cloud.index).to.have.been.calledOnce;
+				expect(cloud.names).to.have.been.calledOnce;
+				expect(cloud.versions).to.have.been.calledOnce;
+			});
+	});
+
+	it('resolves a range against the cached versions', () => {
+		return sut.fetch('neopixel', '^1.0.0')
+			.then(lib => {
+				expect(lib.metadata.version).to.equal('1.1.0');
+				expect(lib).to.be.an.instanceof(CachedLibrary);
+				expect(lib.repo).to.equal(sut);
+				expect(cloud.fetch).to.have.been.calledWith('neopixel', '1.1.0');
+			});
+	});
+
+	it('fetches the highest version when no version is given', () => {
+		return expect(sut.fetch('neopixel')).to.eventually.have.property('metadata')
+			.that.has.property('version', '1.1.0');
+	});
+
+	it('serves library metadata and archives from the cache', () => {
+		return sut.fetch('neopixel', '1.0.0')
+			.then(lib => lib.metadata.download())
+			.then(() => sut.fetch('neopixel', '1.0.0'))
+			.then(lib => lib.metadata.download())
+			.then(archive => {
+				expect(archive.toString()).to.equal('archive 1.0.0');
+				expect(cloud.fetch).to.have.been.calledOnce;
+				expect(cloud.download).to.have.been.calledOnce;
+			});
+	});
+
+	it('shares the cache directory between instances', () => {
+		return sut.fetch('neopixel', '1.0.0')
+			.then(lib => lib.metadata.download())
+			.then(() => createCache({ directory: sut.directory }).fetch('neopixel', '1.0.0'))
+			.then(lib => lib.metadata.download())
+			.then(archive => {
+				expect(archive.toString()).to.equal('archive 1.0.0');
+				expect(cloud.download).to.have.been.calledOnce;
+			});
+	});
+
+	it('fetches the library again to download an archive not yet cached', () => {
+		return sut.fetch('neopixel', '1.0.0')
+			.then(() => createCache({ directory: sut.directory }).fetch('neopixel', '1.0.0'))
+			.then(lib => lib.metadata.download())
+			.then(archive => {
+				expect(archive.toString()).to.equal('archive 1.0.0');
+				expect(cloud.fetch).to.have.been.calledTwice;
+			});
+	});
+
+	it('copies a library from the cached archive', () => {
+		const tarball = fs.readFileSync(path.join(__dirname, 'fixtures', 'tarball.tar.gz'));
+		cloud.download = sinon.stub().resolves(tarball);
+		const dir = () => tmp.dirSync({ unsafeCleanup: true }).name;
+		return sut.fetch('neopixel', '1.0.0')
+			.then(lib => lib.copyTo(dir()))
+			.then(() => sut.fetch('neopixel', '1.0.0'))
+			.then(lib => lib.copyTo(dir()))
+			.then(lib => {
+				expect(cloud.download).to.have.been.calledOnce;
+				expect(lib.repo).to.equal(sut);
+			});
+	});
+
+	it('archives the libraries of a repo that can only copy them', () => {
+		cloud.fetch = sinon.spy((name, version) => Promise.resolve({
+			name,
+			metadata: { name, version },
+			copyTo: dir => {
+				fs.writeFileSync(path.join(dir, 'library.properties'), `name=${name}\nversion=${version}\n`);
+				return Promise.resolve();
+			}
+		}));
+		const target = tmp.dirSync({ unsafeCleanup: true }).name;
+		return sut.fetch('neopixel', '1.0.0')
+			.then(lib => lib.copyTo(target))
+			.then(() => expect(fs.readFileSync(path.join(target, 'library.properties'), 'utf8'))
+				.to.contain('version=1.0.0'));
+	});
+
+	it('caches the definition of a library', () => {
+		const definition = sinon.stub().resolves({ name: 'neopixel', version: '1.0.0' });
+		cloud._createLibrary = (name, metadata) => ({ name, metadata, repo: cloud, definition });
+		return sut.fetch('neopixel', '1.0.0')
+			.then(lib => lib.definition())
+			.then(() => createCache({ directory: sut.directory }).fetch('neopixel', '1.0.0'))
+			.then(lib => lib.definition())
+			.then(result => {
+				expect(result).to.deep.equal({ name: 'neopixel', version: '1.0.0' });
+				expect(definition).to.have.been.calledOnce;
+			});
+	});
+
+	it('loads expired content again', () => {
+		return sut.names()
+			.then(() => {
+				time += 1001;
+				return sut.names();
+			})
+			.then(() => expect(cloud.names).to.have.been.calledTwice);
+	});
+
+	it('uses expired content when the repo cannot be reached', () => {
+		return sut.names()
+			.then(() => {
+				time += 1001;
+				cloud.names = sinon.stub().rejects(new Error('offline'));
+				return sut.names();
+			})
+			.then(names => expect(names).to.deep.equal(['neopixel']));
+	});
+
+	it('propagates errors when nothing is cached', () => {
+		cloud.names = sinon.stub().rejects(new Error('offline'));
+		return expect(sut.names()).to.be.rejectedWith('offline');
+	});
+
+	it('reports statistics', () => {
+		return sut.names()
+			.then(() => sut.names())
+			.then(() => sut.index())
+			.then(() => {
+				time += 1001;
+				return sut.stats();
+			})
+			.then(stats => {
+				expect(stats).to.include({ entries: 2, objects: 2, expired: 2, hits: 1, misses: 2 });
+				expect(stats.size).to.equal(JSON.stringify(['neopixel']).length +
+					JSON.stringify([{ name: 'neopixel', version: '1.1.0' }]).length);
+			});
+	});
+
+	it('stores identical content once', () => {
+		cloud.index = cloud.names;
+		return sut.names()
+			.then(() => sut.index())
+			.then(() => sut.stats())
+			.then(stats => expect(stats).to.include({ entries: 2, objects: 1 }));
+	});
+
+	it('prunes expired entries', () => {
+		return sut.names()
+			.then(() => {
+				time += 500;
+				return sut.index();
+			})
+			.then(() => {
+				time += 501;
+				return sut.prune();
+			})
+			.then(result => {
+				expect(result).to.deep.equal({ entries: 1, objects: 1, freed: JSON.stringify(['neopixel']).length });
+				return sut.stats();
+			})
+			.then(stats => expect(stats).to.include({ entries: 1, objects: 1 }));
+	});
+
+	it('prunes only when the cache grows beyond its size cap', () => {
+		sinon.spy(sut, 'prune');
+		return sut.names()
+			.then(() => sut.index())
+			.then(() => expect(sut.prune).to.not.have.been.called);
+	});
+
+	it('removes the oldest entries to stay within the size cap', () => {
+		sut = createCache({ maxSize: 20 });
+		return sut.fetch('neopixel', '1.0.0')
+			.then(lib => lib.metadata.download())
+			.then(() => {
+				time += 1;
+				return sut.fetch('neopixel', '1.1.0');
+			})
+			.then(lib => lib.metadata.download())
+			.then(() => sut.stats())
+			.then(stats => {
+				expect(stats.size).to.be.at.most(20);
+				expect(stats.entries).to.equal(1);
+				return sut.fetch('neopixel', '1.1.0');
+			})
+			.then(lib => lib.metadata.download())
+			.then(() => expect(cloud.download).to.have.been.calledTwice);
+	});
+});
@@ -31,8 +31,14 @@ import { CloudLibrary } from '../src/librepo_cloud';
 
 describe('CloudLibraryRepository', () => {
 
-	const client = { api: {} };
-	const sut = new CloudLibraryRepository({ auth:'auth', client });
+	let client;
+	let sut;
+
+	// each test gets its own repo, so methods stubbed by one test don't leak into the next
+	beforeEach(() => {
+		client = { api: {} };
+		sut = new CloudLibraryRepository({ auth:'auth', client });
+	});
 
 	it('can be instantiated with auth token', () => {
 		const sut = new CloudLibraryRepository({ auth:'auth' });
@@ -58,6 +64,28 @@ describe('CloudLibraryRepository', () => {
 		expect(sut).to.have.property('auth').that.is.equal('auth');
 	});
 
+	it('logs the method and URL of the requests made by the client at debug level', () => {
+		const logger = { debug: sinon.spy() };
+		const sut = new CloudLibraryRepository({ client: { api: {} }, logger });
+		sut.api.debug({
+			method: 'GET',
+			url: 'https://api.particle.io/v1/libraries?access_token=secret',
+			header: { Authorization: 'Bearer secret' }
+		});
+		expect(logger.debug).to.have.been.calledOnce;
+		expect(logger.debug).to.have.been.calledWith({
+			operation: 'request', message: 'GET https://api.particle.io/v1/libraries'
+		});
+	});
+
+	it('does not read the requests made by the client when nothing is logged', () => {
+		const sut = new CloudLibraryRepository({ client: { api: {} } });
+		const method = sinon.stub().returns('GET');
+		const request = Object.defineProperty({ url: '/v1/libraries' }, 'method', { get: method });
+		sut.api.debug(request);
+		expect(method).to.not.have.been.called;
+	});
+
 	it('delegates getLibrary to the client', () => {
 		client.library = sinon.stub();
 		sut._getLibrary('somelib', '1.2.3');
@@ -78,6 +106,52 @@ describe('CloudLibraryRepository', () => {
 		});
 	});
 
+	it('fetches an exact version without listing versions', () => {
+		const lib = { name: 'mylib' };
+		sut._getLibrary = sinon.stub().returns(Promise.resolve(lib));
+		sut.versions = sinon.stub();
+		return sut.fetch('mylib', '1.2.3').then(() => {
+			expect(sut._getLibrary).to.have.been.calledWith('mylib', '1.2.3');
+			expect(sut.versions).to.not.have.been.called;
+		});
+	});
+
+	it('resolves a range to the highest matching version before fetching', () => {
+		const lib = { name: 'mylib' };
+		sut._getLibrary = sinon.stub().returns(Promise.resolve(lib));
+		sut.versions = sinon.stub().returns(Promise.resolve(['2.0.0', '1.3.0', '1.2.3']));
+		return sut.fetch('mylib', '^1.2.0').then(() => {
+			expect(sut._getLibrary).to.have.been.calledWith('mylib', '1.3.0');
+		});
+	});
+
+	it('lists the versions of a library via client.libraryVersions()', () => {
+		client.libraryVersions = sinon.stub().returns(Promise.resolve([{ version: '1.0.0' }, { version: '0.9.0' }]));
+		return sut.versions('mylib').then((versions) => {
+			expect(versions).to.be.deep.equal(['1.0.0', '0.9.0']);
+			expect(client.libraryVersions).to.have.been.calledWith('mylib', { page: 1, limit: 100 });
+		});
+	});
+
+	it('fetches further pages of versions while pages are full', () => {
+		const page = [];
+		for (let i = 0; i < 100; i++) {
+			page.push({ version: `1.0.${i}` });
+		}
+		client.libraryVersions = sinon.stub();
+		client.libraryVersions.onFirstCall().returns(Promise.resolve(page));
+		client.libraryVersions.onSecondCall().returns(Promise.resolve([{ version: '0.1.0' }]));
+		return sut.versions('mylib').then((versions) => {
+			expect(versions).to.have.length(101);
+			expect(client.libraryVersions).to.have.been.calledWith('mylib', { page: 2, limit: 100 });
+		});
+	});
+
+	it('raises LibraryNotFoundError for versions of a library the cloud does not have', () => {
+		client.libraryVersions = sinon.stub().rejects(Object.assign(new Error('HTTP error 404'), { statusCode: 404 }));
+		return expect(sut.versions('mylib')).to.be.rejected.and.eventually.have.property('name', 'LibraryNotFoundError');
+	});
+
 	it('delegates index() to client.libraries()', () => {
 		const libs = [{ name: 'lib1' }, { name: 'lib2' }];
 		client.libraries = sinon.stub().returns(Promise.resolve(libs));
@@ -87,6 +161,55 @@ describe('CloudLibraryRepository', () => {
 		});
 	});
 
+	it('searches via client.libraries() with the query parameters', () => {
+		const libs = [{ name: 'lib1', author: 'Jane' }, { name: 'lib2', author: 'Joe' }];
+		client.libraries = sinon.stub().returns(Promise.resolve(libs));
+		const options = { architectures: ['particle-electron', 'particle-photon'], sort: '-popularity', limit: 10, page: 2 };
+		return sut.search('servo', options)
+			.then((result) => {
+				expect(result.map(lib => lib.name)).to.deep.equal(['lib1', 'lib2']);
+				expect(client.libraries).to.have.been.calledWith({
+					filter: 'servo', sort: '-popularity', limit: 10, page: 2, architectures: 'particle-electron,particle-photon'
+				});
+			});
+	});
+
+	it('filters the search results by author', () => {
+		const libs = [{ name: 'lib1', author: 'Jane' }, { name: 'lib2', author: 'Joe' }];
+		client.libraries = sinon.stub().returns(Promise.resolve(libs));
+		return sut.search('', { author: 'joe' })
+			.then((result) => {
+				expect(result.map(lib => lib.name)).to.deep.equal(['lib2']);
+				expect(client.libraries).to.have.been.calledWith({ limit: 100, page: 1 });
+			});
+	});
+
+	it('fetches more pages until the requested page of libraries by the author is filled', () => {
+		const libs = [];
+		for (let i = 0; i < 250; i++) {
+			libs.push({ name: `lib${i}`, author: i % 50 ? 'Jane' : 'Joe' });
+		}
+		client.libraries = sinon.spy(({ limit, page }) => {
+			return Promise.resolve(libs.slice((page - 1) * limit, page * limit));
+		});
+		return sut.search('servo', { author: 'joe', sort: 'name', limit: 2, page: 2 })
+			.then((result) => {
+				expect(result.map(lib => lib.name)).to.deep.equal(['lib100', 'lib150']);
+				expect(client.libraries).to.have.been.calledTwice;
+				expect(client.libraries).to.have.been.calledWith({ filter: 'servo', sort: 'name', limit: 100, page: 2 });
+			});
+	});
+
+	it('returns the libraries by the author found when the results run out', () => {
+		const libs = [{ name: 'lib1', author: 'Jane' }, { name: 'lib2', author: 'Joe' }];
+		client.libraries = sinon.stub().returns(Promise.resolve(libs));
+		return sut.search('', { author: 'joe', limit: 10 })
+			.then((result) => {
+				expect(result.map(lib => lib.name)).to.deep.equal(['lib2']);
+				expect(client.libraries).to.have.been.calledOnce;
+			});
+	});
+
 	it('delegates names() to index and extractNames', () => {
 		const libs = [{ name: 'lib1' }, { name: 'lib2' }];
 		sut.index = sinon.stub().returns(Promise.resolve(libs));
@@ -124,6 +247,45 @@ describe('CloudLibraryRepository', () => {
 			});
 	});
 
+	it('verifies the archive against the checksum in the metadata before extracting it', () => {
+		const buffer = fs.readFileSync(path.join(__dirname, 'fixtures', 'tarball.tar.gz'));
+		const lib = { download: sinon.stub().returns(Promise.resolve(buffer)), sha256: '00' };
+		const sut = new CloudLibrary('abcd', lib);
+		const dir = path.join(require('os').tmpdir(), `verify-${process.pid}`);
+		return expect(sut.copyTo(dir)).to.be.rejected
+			.then(error => {
+				expect(error).to.have.property('name', 'ArchiveIntegrityError');
+				expect(error).to.have.property('library', 'abcd');
+				expect(fs.existsSync(dir)).to.be.false;
+			});
+	});
+
+	it('verifies the archive against a checksum from the caller', () => {
+		const buffer = fs.readFileSync(path.join(__dirname, 'fixtures', 'tarball.tar.gz'));
+		const lib = { download: sinon.stub().returns(Promise.resolve(buffer)) };
+		const sut = new CloudLibrary('abcd', lib);
+		return expect(sut.copyTo('/newlib', { sha256: 'sha256:00' })).to.be.rejected
+			.and.eventually.have.property('name', 'ArchiveIntegrityError');
+	});
+
+	it('reports the progress of the download and extraction', () => {
+		const buffer = fs.readFileSync(path.join(__dirname, 'fixtures', 'tarball.tar.gz'));
+		const repo = new CloudLibraryRepository({ auth:'auth', client });
+		const sut = new CloudLibrary('neopixel', { download: () => Promise.resolve(buffer) }, repo);
+		const dir = require('tmp').dirSync({ unsafeCleanup: true }).name;
+		const events = [];
+		repo.on('progress', event => events.push(event));
+		return sut.copyTo(dir)
+			.then(() => {
+				expect(events[0]).to.deep.equal({ type: 'download', library: 'neopixel' });
+				// the api client gives no progress while downloading
+				expect(events.filter(event => event.type === 'received')).to.be.empty;
+				expect(events.filter(event => event.type === 'extract').map(event => event.entry))
+					.to.include('src/neopixel.cpp');
+				expect(events.pop()).to.have.property('type', 'done');
+			});
+	});
+
 	it('ignores symlinks ', () => {
 		// todo - build a tar.gz containing symblinks
 
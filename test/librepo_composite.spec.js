@@ -0,0 +1,168 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { expect, sinon } from './test-setup';
+import { CompositeLibraryRepository } from '../src/librepo_composite';
+import { LibraryRepository, LibraryNotFoundError } from '../src/librepo';
+import { FileSystemLibraryRepository } from '../src/librepo_fs';
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+
+tmp.setGracefulCleanup();
+
+/**
+ * Creates a repo holding libraries at a single version each.
+ * @param {object} libs The version of each library, keyed by name.
+ * @returns {LibraryRepository} The repo.
+ */
+function makeRepo(libs) {
+	const repo = new LibraryRepository();
+	repo.fetch = sinon.spy((name, versionOrRange) => {
+		if (!libs[name]) {
+			return Promise.reject(new LibraryNotFoundError(repo, name));
+		}
+		const lib = { name, repo, definition: () => Promise.resolve({ name, version: libs[name] }) };
+		return repo.checkVersion(lib, versionOrRange);
+	});
+	repo.names = () => Promise.resolve(Object.keys(libs));
+	return repo;
+}
+
+describe('CompositeLibraryRepository', () => {
+	let local;
+	let shared;
+	let cloud;
+	let sut;
+
+	beforeEach(() => {
+		local = makeRepo({ neopixel: '1.0.1' });
+		shared = makeRepo({ neopixel: '1.0.0', alpha: '2.0.0' });
+		cloud = makeRepo({ neopixel: '2.0.0', alpha: '2.1.0', beta: '0.1.0' });
+		sut = new CompositeLibraryRepository([local, shared, cloud]);
+	});
+
+	it('reports the progress of each repo', () => {
+		const listener = sinon.spy();
+		sut.on('progress', listener);
+		cloud.progress('download', 'beta');
+		expect(listener).to.have.been.calledWith({ type: 'download', library: 'beta' });
+	});
+
+	describe('fetch', () => {
+		it('returns the library from the first repo that has it', () => {
+			return sut.fetch('neopixel')
+				.then(lib => {
+					expect(lib.repo).to.equal(local);
+					expect(sut.source('neopixel')).to.equal(local);
+					expect(shared.fetch).to.not.have.been.called;
+				});
+		});
+
+		it('falls through to lower priority repos', () => {
+			return sut.fetch('beta')
+				.then(lib => {
+					expect(lib.repo).to.equal(cloud);
+					expect(sut.source('beta')).to.equal(cloud);
+				});
+		});
+
+		it('skips repos that do not have a matching version', () => {
+			return sut.fetch('neopixel', '^2.0.0')
+				.then(lib => expect(lib.repo).to.equal(cloud));
+		});
+
+		it('raises LibraryNotFoundError when no repo has the library', () => {
+			return sut.fetch('gamma')
+				.then(() => {
+					throw new Error('expected fetch to fail');
+				}, error => {
+					expect(error.name).to.equal('LibraryNotFoundError');
+					expect(error.library).to.equal('gamma');
+					expect(error.cause().errors()).to.have.length(3);
+					expect(sut.source('gamma')).to.be.undefined;
+				});
+		});
+
+		it('raises LibraryNotFoundError when there are no repos', () => {
+			sut = new CompositeLibraryRepository([]);
+			return expect(sut.fetch('gamma')).to.be.rejected.and.eventually.have.property('name')
+				.equal('LibraryNotFoundError');
+		});
+	});
+
+	describe('names', () => {
+		it('merges the names from all repos without duplicates', () => {
+			return expect(sut.names()).to.eventually.deep.equal(['neopixel', 'alpha', 'beta']);
+		});
+
+		it('records the highest priority repo each library came from', () => {
+			return sut.names()
+				.then(() => {
+					expect(sut.source('neopixel')).to.equal(local);
+					expect(sut.source('alpha')).to.equal(shared);
+					expect(sut.source('beta')).to.equal(cloud);
+				});
+		});
+
+		it('skips repos that fail to list their libraries', () => {
+			const logger = { warn: sinon.spy() };
+			sut.logger = logger;
+			shared.names = sinon.stub().rejects(new Error('offline'));
+			return sut.names()
+				.then(names => {
+					expect(names).to.deep.equal(['neopixel', 'alpha', 'beta']);
+					expect(sut.source('alpha')).to.equal(cloud);
+					expect(logger.warn.firstCall.args[0].error).to.have.property('message', 'offline');
+				});
+		});
+
+		it('raises an error when every repo fails to list its libraries', () => {
+			[local, shared, cloud].forEach(repo => {
+				repo.names = sinon.stub().rejects(new Error('offline'));
+			});
+			return expect(sut.names()).to.be.rejected
+				.and.eventually.have.property('name', 'LibraryRepositoryError');
+		});
+	});
+
+	describe('versions', () => {
+		it('merges the versions from all repos', () => {
+			return expect(sut.versions('neopixel')).to.eventually.deep.equal(['1.0.1', '1.0.0', '2.0.0']);
+		});
+
+		it('raises LibraryNotFoundError when no repo has the library', () => {
+			return expect(sut.versions('gamma')).to.be.rejected.and.eventually.have.property('name')
+				.equal('LibraryNotFoundError');
+		});
+	});
+
+	it('prefers a locally patched library in a filesystem repo', () => {
+		const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+		fs.mkdirSync(path.join(dir, 'alpha'));
+		fs.writeFileSync(path.join(dir, 'alpha', 'library.properties'), 'name=alpha\nversion=2.0.1\n');
+		const lib = new FileSystemLibraryRepository(dir);
+		sut = new CompositeLibraryRepository([lib, cloud]);
+		return sut.fetch('alpha', '^2.0.0')
+			.then(alpha => {
+				expect(alpha.repo).to.equal(lib);
+				expect(alpha.metadata.version).to.equal('2.0.1');
+			});
+	});
+});
@@ -217,6 +217,257 @@ describe('File System', () => {
 		});
 	});
 
+	describe('remove', () => {
+		let dir;
+
+		function writeLib(name, version, extra = '') {
+			const libdir = path.join(dir, name);
+			fs.mkdirSync(libdir);
+			fs.mkdirSync(path.join(libdir, 'src'));
+			fs.writeFileSync(path.join(libdir, 'library.properties'), `name=${name}\nversion=${version}\n${extra}`);
+			fs.writeFileSync(path.join(libdir, 'src', `${name}.cpp`), '// a cpp file');
+		}
+
+		beforeEach(() => {
+			dir = tmp.dirSync({ unsafeCleanup: true }).name;
+			writeLib('alpha', '1.0.0');
+			writeLib('beta', '1.0.0', 'dependencies.alpha=^1.0.0\n');
+		});
+
+		it('deletes the library directory and reports the files deleted', () => {
+			const sut = new FileSystemLibraryRepository(dir);
+			return sut.remove('alpha')
+				.then(report => {
+					expect(report.name).to.equal('alpha');
+					expect(report.directory).to.equal(path.join(dir, 'alpha') + path.sep);
+					expect(report.files).to.deep.equal([
+						path.join(dir, 'alpha', 'library.properties'), path.join(dir, 'alpha', 'src', 'alpha.cpp')
+					]);
+					expect(fs.existsSync(path.join(dir, 'alpha'))).to.be.false;
+					return expect(sut.names()).to.eventually.deep.equal(['beta']);
+				});
+		});
+
+		it('deletes a library stored in a directory with another name', () => {
+			fs.mkdirSync(path.join(dir, 'foo'));
+			fs.writeFileSync(path.join(dir, 'foo', 'library.properties'), 'name=bar\nversion=1.0.0\n');
+			const sut = new FileSystemLibraryRepository(dir);
+			return sut.remove('bar')
+				.then(report => {
+					expect(report.directory).to.equal(path.join(dir, 'foo') + path.sep);
+					expect(fs.existsSync(path.join(dir, 'foo'))).to.be.false;
+				});
+		});
+
+		it('uses the naming strategy to locate the library', () => {
+			fs.renameSync(path.join(dir, 'alpha'), path.join(dir, 'alpha@1.0.0'));
+			const sut = new FileSystemLibraryRepository(dir, FileSystemNamingStrategy.BY_NAME_AT_VERSION);
+			return sut.remove('alpha@1.0.0')
+				.then(() => expect(fs.existsSync(path.join(dir, 'alpha@1.0.0'))).to.be.false);
+		});
+
+		it('fails when the library does not exist', () => {
+			const sut = new FileSystemLibraryRepository(dir);
+			return expect(sut.remove('gamma')).to.be.rejected.and.eventually.have.property('name')
+				.equal('LibraryNotFoundError');
+		});
+
+		it('is not supported by the direct naming strategy', () => {
+			const sut = new FileSystemLibraryRepository(path.join(dir, 'alpha'), FileSystemNamingStrategy.DIRECT);
+			return sut.remove('alpha')
+				.then(() => {
+					throw new Error('expected remove to fail');
+				}, error => {
+					expect(error.name).to.equal('LibraryRepositoryError');
+					expect(fs.existsSync(path.join(dir, 'alpha'))).to.be.true;
+				});
+		});
+
+		it('refuses to remove a library other libraries depend on when checking dependents', () => {
+			const sut = new FileSystemLibraryRepository(dir);
+			return sut.remove('alpha', { checkDependents: true })
+				.then(() => {
+					throw new Error('expected remove to fail');
+				}, error => {
+					expect(error.name).to.equal('LibraryInUseError');
+					expect(error.dependents).to.deep.equal(['beta']);
+					expect(fs.existsSync(path.join(dir, 'alpha'))).to.be.true;
+				});
+		});
+
+		it('removes a library whose dependents require a different version', () => {
+			const sut = new FileSystemLibraryRepository(dir);
+			fs.writeFileSync(path.join(dir, 'alpha', 'library.properties'), 'name=alpha\nversion=2.0.0\n');
+			return expect(sut.remove('alpha', { checkDependents: true })).to.eventually.have.property('name', 'alpha');
+		});
+	});
+
+	describe('versions', () => {
+		let dir;
+
+		function writeLib(dirname, name, version) {
+			const libdir = path.join(dir, dirname);
+			fs.mkdirSync(libdir);
+			fs.writeFileSync(path.join(libdir, 'library.properties'), `name=${name}\nversion=${version}\n`);
+			fs.writeFileSync(path.join(libdir, `${name}.cpp`), `// ${version}`);
+		}
+
+		beforeEach(() => {
+			dir = tmp.dirSync({ unsafeCleanup: true }).name;
+		});
+
+		describe('by name', () => {
+			let sut;
+			beforeEach(() => {
+				writeLib('alpha', 'alpha', '1.2.0');
+				sut = new FileSystemLibraryRepository(dir);
+			});
+
+			it('lists the single version of a library', () => {
+				return expect(sut.versions('alpha')).to.eventually.deep.equal(['1.2.0']);
+			});
+
+			it('fetches a library matching a range', () => {
+				return expect(sut.fetch('alpha', '^1.0.0')).to.eventually.have.property('name', 'alpha');
+			});
+
+			it('does not fetch a library outside the range', () => {
+				return expect(sut.fetch('alpha', '^2.0.0')).to.be.rejected.and.eventually.have.property('name')
+					.equal('LibraryNotFoundError');
+			});
+		});
+
+		describe('logical names', () => {
+			it('lists libraries by the name in their descriptor', () => {
+				writeLib('neopixel', 'neopixel', '1.0.0');
+				writeLib('alpha@2.0.0', 'alpha', '2.0.0');
+				const sut = new FileSystemLibraryRepository(dir, FileSystemNamingStrategy.BY_NAME_AT_VERSION);
+				return sut.names()
+					.then(names => {
+						expect(names.sort()).to.deep.equal(['alpha@2.0.0', 'neopixel@1.0.0']);
+						return sut.fetch('neopixel@1.0.0');
+					})
+					.then(lib => {
+						expect(lib.name).to.equal('neopixel@1.0.0');
+						expect(sut.libraryDirectory(lib.name)).to.equal(path.join(dir, 'neopixel') + path.sep);
+						return lib.files();
+					})
+					.then(files => expect(files.map(file => file.name)).to.deep.equal(['neopixel']));
+			});
+
+			it('does not list libraries in hidden directories, such as those being extracted', () => {
+				writeLib('neopixel', 'neopixel', '1.0.0');
+				writeLib('.neopixel.1234.0.tmp', 'neopixel', '1.1.0');
+				const sut = new FileSystemLibraryRepository(dir, FileSystemNamingStrategy.BY_NAME_AT_VERSION);
+				return expect(sut.names()).to.eventually.deep.equal(['neopixel@1.0.0']);
+			});
+
+			it('fetches a library stored in a differently named directory without listing names first', () => {
+				writeLib('neopixel', 'neopixel', '1.0.0');
+				const sut = new FileSystemLibraryRepository(dir, FileSystemNamingStrategy.BY_NAME_AT_VERSION);
+				return expect(sut.fetch('neopixel', '^1.0.0')).to.eventually.have.property('name', 'neopixel@1.0.0');
+			});
+
+			it('stores libraries with unsafe names in encoded directories', () => {
+				writeLib('src', 'my:lib', '1.0.0');
+				const source = new FileSystemLibraryRepository(path.join(dir, 'src'), FileSystemNamingStrategy.DIRECT);
+				const target = tmp.dirSync({ unsafeCleanup: true }).name;
+				const sut = new FileSystemLibraryRepository(target);
+				return source.fetch('')
+					.then(lib => sut.add(lib))
+					.then(() => {
+						expect(fs.existsSync(path.join(target, 'my%3Alib', 'library.properties'))).to.be.true;
+						return expect(sut.names()).to.eventually.deep.equal(['my:lib']);
+					});
+			});
+		});
+
+		describe('by name at version', () => {
+			let sut;
+			beforeEach(() => {
+				sut = new FileSystemLibraryRepository(dir, FileSystemNamingStrategy.BY_NAME_AT_VERSION);
+				writeLib('alpha@1.0.0', 'alpha', '1.0.0');
+				writeLib('alpha@1.2.0', 'alpha', '1.2.0');
+				writeLib('alpha@2.0.0', 'alpha', '2.0.0');
+				writeLib('alphabet@3.0.0', 'alphabet', '3.0.0');
+			});
+
+			it('lists the versions stored side by side', () => {
+				return sut.versions('alpha')
+					.then(versions => expect(versions.sort()).to.deep.equal(['1.0.0', '1.2.0', '2.0.0']));
+			});
+
+			it('fetches the highest version in a range', () => {
+				return sut.fetch('alpha', '^1.0.0')
+					.then(lib => {
+						expect(lib.name).to.equal('alpha@1.2.0');
+						expect(lib.metadata.version).to.equal('1.2.0');
+					});
+			});
+
+			it('fetches an exact version', () => {
+				return expect(sut.fetch('alpha', '2.0.0')).to.eventually.have.property('name', 'alpha@2.0.0');
+			});
+
+			it('raises an error for a library not in the repo', () => {
+				return expect(sut.versions('beta')).to.be.rejected.and.eventually.have.property('name')
+					.equal('LibraryNotFoundError');
+			});
+
+			it('can add another version alongside existing versions', () => {
+				const lib = new FileSystemLibraryRepository(path.join(dir, 'alphabet@3.0.0'), FileSystemNamingStrategy.DIRECT);
+				return lib.fetch('')
+					.then(alphabet => {
+						alphabet.metadata.version = '3.1.0';
+						return sut.add(alphabet);
+					})
+					.then(() => expect(sut.versions('alphabet')).to.eventually.have.members(['3.0.0', '3.1.0']));
+			});
+
+			it('reports each file copied when adding a library', () => {
+				const events = [];
+				sut.on('progress', event => events.push(event));
+				const lib = new FileSystemLibraryRepository(path.join(dir, 'alphabet@3.0.0'), FileSystemNamingStrategy.DIRECT);
+				return lib.fetch('')
+					.then(alphabet => {
+						alphabet.metadata.version = '3.1.0';
+						return sut.add(alphabet);
+					})
+					.then(() => {
+						expect(events.map(event => event.type)).to.deep.equal(['copy', 'done']);
+						expect(events[0]).to.include({ copied: 1, total: 1 });
+						expect(events[0].file).to.equal(path.join(dir, 'alphabet@3.1.0', 'alphabet.cpp'));
+						expect(events[1]).to.include({ type: 'done', files: 1 });
+					});
+			});
+		});
+	});
+
+	describe('search', () => {
+		let dir;
+
+		beforeEach(() => {
+			dir = tmp.dirSync({ unsafeCleanup: true }).name;
+			const write = (name, properties) => {
+				fs.mkdirSync(path.join(dir, name));
+				fs.writeFileSync(path.join(dir, name, 'library.properties'), `name=${name}\nversion=1.0.0\n${properties}`);
+			};
+			write('servo', 'sentence=Drives servos\narchitectures=particle-electron,particle-photon\n');
+			write('leds', 'sentence=Blinks LEDs\narchitectures=spark-core\n');
+		});
+
+		it('matches libraries locally', () => {
+			const sut = new FileSystemLibraryRepository(dir);
+			return sut.search('servos', { architectures: 'particle-electron' })
+				.then(libs => expect(libs.map(lib => lib.name)).to.deep.equal(['servo']));
+		});
+
+		it('excludes libraries for other architectures', () => {
+			const sut = new FileSystemLibraryRepository(dir);
+			return expect(sut.search('', { architectures: 'particle-electron' })).to.eventually.have.length(1);
+		});
+	});
+
 	describe('library examples', () => {
 		describe('given an example via a relative path', () => {
 			let example;
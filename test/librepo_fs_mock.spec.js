@@ -25,8 +25,10 @@ const fs = require('fs');
 const path = require('path');
 
 import { FileSystemNamingStrategy, FileSystemLibraryRepository, getdirs, libraryProperties, sparkDotJson, isLibraryExample, pathsCommonPrefix } from '../src/librepo_fs';
+import { encodeFilesystemName, decodeFilesystemName } from '../src/librepo_fs';
 import { LibraryFormatError, LibraryNotFoundError, MemoryLibraryFile } from '../src/librepo';
 import VError from 'verror';
+import { Dependency } from '../src/dependency_resolver';
 
 
 const libFileContents = { 'h': '// a header file', cpp:'// a cpp file' };
@@ -291,10 +293,11 @@ describe('File System Mock', () => {
 		});
 
 
-		it('nameToFs is currently a no-op', () => {
+		it('nameToFs encodes characters that are not safe in file names', () => {
 			const sut = new FileSystemLibraryRepository('');
 			const name = 'abc$§/0\0';
-			expect(sut.nameToFs(name)).to.equal(name);
+			expect(sut.nameToFs(name)).to.equal('abc$§%2F0%00');
+			expect(decodeFilesystemName(sut.nameToFs(name))).to.equal(name);
 		});
 
 		it('extension splits filename at a dot when present', () => {
@@ -489,6 +492,59 @@ describe('File System Mock', () => {
 				'version=1.2.3\n');
 		});
 
+		it('can build a v2 descriptor with dependencies', () => {
+			const sut = new FileSystemLibraryRepository('mydir');
+			const content = sut.buildV2Descriptor({
+				name: 'abcd', version: '1.2.3',
+				dependencies: [new Dependency('neopixel', '0.0.10'), new Dependency('other', '^1.2.0')]
+			});
+			expect(content).to.be.equal(
+				'name=abcd\n' +
+				'version=1.2.3\n' +
+				'dependencies.neopixel=0.0.10\n' +
+				'dependencies.other=^1.2.0\n');
+		});
+
+		it('reads dependencies from a v2 descriptor', () => {
+			const sut = new FileSystemLibraryRepository('mydir');
+			const path = 'mydir/test.propertes';
+			fs.writeFileSync(path, 'name=abcd\nversion=1.2.3\ndependencies.neopixel=0.0.10\ndependencies.other=>=1.0 <2\n');
+			return sut.readDescriptorV2('abcd', path).then((desc) => {
+				expect(desc).to.not.have.property('dependencies.neopixel');
+				expect(desc.dependencies).to.have.length(2);
+				expect(desc.dependencies[0]).to.be.instanceof(Dependency);
+				expect(desc.dependencies.map(dep => [dep.name, dep.version])).to.be.deep.equal([
+					['neopixel', '0.0.10'], ['other', '>=1.0 <2']
+				]);
+			});
+		});
+
+		it('round-trips dependencies through a v2 descriptor', () => {
+			const sut = new FileSystemLibraryRepository('mydir');
+			const path = 'mydir/test.propertes';
+			const dependencies = [new Dependency('neopixel', '0.0.10')];
+			return sut.writeDescriptorV2(path, { name: 'abcd', version: '1.2.3', dependencies })
+				.then(() => sut.readDescriptorV2('abcd', path))
+				.then(desc => expect(desc.dependencies).to.be.deep.equal(dependencies));
+		});
+
+		it('migrates the dependencies of a v1 descriptor', () => {
+			const sut = new FileSystemLibraryRepository('mydir');
+			const desc = sut.migrateDescriptor({ name: 'abcd', dependencies: { neopixel: '0.0.10' } });
+			expect(desc.dependencies).to.be.deep.equal([new Dependency('neopixel', '0.0.10')]);
+		});
+
+		it('writes the dependencies of a v1 descriptor as an object', () => {
+			const sut = new FileSystemLibraryRepository('mydir');
+			const dependencies = [new Dependency('neopixel', '0.0.10')];
+			return sut.writeDescriptorV1('mydir/test.json', { name: 'abcd', dependencies })
+				.then(() => {
+					const desc = JSON.parse(fs.readFileSync('mydir/test.json', 'utf8'));
+					expect(desc.dependencies).to.be.deep.equal({ neopixel: '0.0.10' });
+					expect(sut.migrateDescriptor(desc).dependencies).to.be.deep.equal(dependencies);
+				});
+		});
+
 		it('can read a v1 descriptor', () => {
 			const sut = new FileSystemLibraryRepository('mydir');
 			fs.writeFileSync('mydir/test.json', '{"name":"myname", "description":"desc"}');
@@ -679,6 +735,31 @@ describe('File System Mock', () => {
 		});
 	});
 
+	describe('filesystem name encoding', () => {
+		it('leaves safe names unchanged', () => {
+			expect(encodeFilesystemName('neopixel@1.0.0')).to.equal('neopixel@1.0.0');
+		});
+
+		it('encodes characters that are not allowed in file names', () => {
+			expect(encodeFilesystemName('a<b>c:d"e/f\\g|h?i*j')).to.equal('a%3Cb%3Ec%3Ad%22e%2Ff%5Cg%7Ch%3Fi%2Aj');
+		});
+
+		it('encodes the escape character', () => {
+			expect(encodeFilesystemName('100%')).to.equal('100%25');
+		});
+
+		it('encodes leading dots and trailing dots and spaces', () => {
+			expect(encodeFilesystemName('..')).to.equal('%2E%2E');
+			expect(encodeFilesystemName('.lib.name ')).to.equal('%2Elib.name%20');
+		});
+
+		it('is reversible', () => {
+			for (const name of ['neopixel', 'a/b', '100%', '%41', '..', 'x:y ', 'abc$§/0\0']) {
+				expect(decodeFilesystemName(encodeFilesystemName(name))).to.equal(name);
+			}
+		});
+	});
+
 	describe('Name@Version Strategy', () => {
 		const sut = FileSystemNamingStrategy.BY_NAME_AT_VERSION;
 
@@ -0,0 +1,132 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { expect } from './test-setup';
+import { GitLibraryRepository } from '../src/librepo_git';
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+
+tmp.setGracefulCleanup();
+
+describe('GitLibraryRepository', function gitTests() {
+	// git commands take a while on slow machines
+	this.timeout(20000);
+
+	let bare;
+	let work;
+
+	function git(...args) {
+		childProcess.execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args],
+			{ cwd: work, stdio: 'pipe' });
+	}
+
+	function commitVersion(version, tags) {
+		fs.writeFileSync(path.join(work, 'library.properties'), `name=blinky\nversion=${version}\nsentence=blinks\n`);
+		fs.writeFileSync(path.join(work, 'src', 'blinky.cpp'), `// blinky ${version}`);
+		git('add', '-A');
+		git('commit', '-q', '-m', `version ${version}`);
+		tags.forEach(tag => git('tag', tag));
+	}
+
+	before(() => {
+		const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+		bare = path.join(dir, 'blinky.git');
+		work = path.join(dir, 'work');
+		childProcess.execFileSync('git', ['init', '-q', '--bare', bare]);
+		childProcess.execFileSync('git', ['init', '-q', work]);
+		fs.writeFileSync(path.join(work, 'README.md'), 'not a library yet');
+		git('add', '-A');
+		git('commit', '-q', '-m', 'start');
+		git('tag', '0.0.1');
+		fs.mkdirSync(path.join(work, 'src'));
+		commitVersion('1.0.0', ['1.0.0']);
+		commitVersion('1.1.0', ['v1.1.0', 'latest']);
+		git('push', '-q', bare, 'HEAD:refs/heads/master', '--tags');
+	});
+
+	it('lists the library in the repository', () => {
+		const sut = new GitLibraryRepository([bare]);
+		return expect(sut.names()).to.eventually.deep.equal(['blinky']);
+	});
+
+	it('treats semver tags with a library descriptor as versions', () => {
+		const sut = new GitLibraryRepository([bare]);
+		return expect(sut.versions('blinky')).to.eventually.deep.equal(['1.0.0', '1.1.0']);
+	});
+
+	it('fetches the highest version by default', () => {
+		const sut = new GitLibraryRepository([bare]);
+		return sut.fetch('blinky')
+			.then(lib => {
+				expect(lib.tag).to.equal('v1.1.0');
+				return expect(lib.definition()).to.eventually.have.property('sentence').equal('blinks');
+			});
+	});
+
+	it('reads the library descriptor at the tag', () => {
+		const sut = new GitLibraryRepository([bare]);
+		return sut.fetch('blinky', '1.0.x')
+			.then(lib => expect(lib.definition()).to.eventually.have.property('version').equal('1.0.0'));
+	});
+
+	it('checks out a tag into a directory', () => {
+		const sut = new GitLibraryRepository([bare]);
+		const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+		return sut.fetch('blinky', '1.0.0')
+			.then(lib => lib.copyTo(dir))
+			.then(() => {
+				expect(fs.readFileSync(path.join(dir, 'src', 'blinky.cpp'), 'utf8')).to.equal('// blinky 1.0.0');
+				expect(fs.existsSync(path.join(dir, '.git'))).to.be.false;
+			});
+	});
+
+	it('updates an existing clone', () => {
+		const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+		return new GitLibraryRepository([bare], dir).versions('blinky')
+			.then(() => {
+				commitVersion('1.2.0', ['1.2.0']);
+				git('push', '-q', bare, 'HEAD:refs/heads/master', '--tags');
+			})
+			.then(() => expect(new GitLibraryRepository([bare], dir).versions('blinky')).to.eventually
+				.deep.equal(['1.0.0', '1.1.0', '1.2.0']));
+	});
+
+	it('rejects a repository that cannot be cloned', () => {
+		const missing = path.join(tmp.dirSync({ unsafeCleanup: true }).name, 'missing.git');
+		const sut = new GitLibraryRepository([missing]);
+		return expect(sut.names()).to.eventually.be.rejected
+			.and.have.property('message').that.contains('unable to read git repository');
+	});
+
+	it('clones the repository again after failing to', () => {
+		const missing = path.join(tmp.dirSync({ unsafeCleanup: true }).name, 'missing.git');
+		const sut = new GitLibraryRepository([missing]);
+		return expect(sut.names()).to.eventually.be.rejected
+			.then(() => childProcess.execFileSync('git', ['clone', '-q', '--bare', bare, missing]))
+			.then(() => expect(sut.names()).to.eventually.deep.equal(['blinky']));
+	});
+
+	it('does not pass a repository URL to git as an option', () => {
+		const sut = new GitLibraryRepository(['--upload-pack=touch marker']);
+		return expect(sut.names()).to.eventually.be.rejected
+			.and.have.property('message').that.contains("repository '--upload-pack=touch marker' does not exist");
+	});
+});
@@ -0,0 +1,164 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { expect } from './test-setup';
+import { HttpLibraryRepository } from '../src/librepo_http';
+import { mirrorLibraries, mirrorIndex } from '../src/librepo_mirror';
+import { LibraryRepository } from '../src/librepo';
+import { createArchive } from '../src/archive';
+import { Dependency } from '../src/dependency_resolver';
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const tmp = require('tmp');
+
+tmp.setGracefulCleanup();
+
+describe('HttpLibraryRepository', () => {
+	const tarball = fs.readFileSync(path.join(__dirname, 'fixtures', 'tarball.tar.gz'));
+	let dir;
+	let server;
+	let requests;
+	let base;
+
+	// a static file server for the mirror directory
+	before((done) => {
+		server = http.createServer((req, res) => {
+			requests.push(req.url);
+			const file = path.join(dir, decodeURIComponent(req.url.substring(1)));
+			fs.readFile(file, (error, content) => {
+				if (error) {
+					res.writeHead(404);
+					res.end();
+				} else {
+					res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': content.length });
+					res.end(content);
+				}
+			});
+		});
+		server.listen(0, '127.0.0.1', () => {
+			base = `http://127.0.0.1:${server.address().port}/`;
+			done();
+		});
+	});
+
+	after((done) => {
+		server.close(done);
+	});
+
+	// archives a library with a single source file
+	function archive(name, version) {
+		const libdir = tmp.dirSync({ unsafeCleanup: true }).name;
+		fs.mkdirSync(path.join(libdir, 'src'));
+		fs.writeFileSync(path.join(libdir, 'library.properties'), `name=${name}\nversion=${version}\n`);
+		fs.writeFileSync(path.join(libdir, 'src', 'lib.cpp'), `// ${version}`);
+		return createArchive(libdir);
+	}
+
+	beforeEach(() => {
+		dir = tmp.dirSync({ unsafeCleanup: true }).name;
+		requests = [];
+		const source = new LibraryRepository();
+		source.fetch = (name, version) => {
+			const metadata = { name, version, download: () => archive(name, version) };
+			return Promise.resolve({ name, metadata, definition: () => Promise.resolve(metadata) });
+		};
+		return mirrorLibraries(source, dir, [new Dependency('blinky', '1.0.0'), new Dependency('blinky', '1.1.0'),
+			new Dependency('my/lib', '0.1.0')]);
+	});
+
+	function repo() {
+		return new HttpLibraryRepository(`${base}${mirrorIndex}`);
+	}
+
+	it('lists the libraries in the index', () => {
+		return expect(repo().names()).to.eventually.deep.equal(['blinky', 'my/lib']);
+	});
+
+	it('lists the versions of a library', () => {
+		return expect(repo().versions('blinky')).to.eventually.deep.equal(['1.0.0', '1.1.0']);
+	});
+
+	it('reads the index once', () => {
+		const sut = repo();
+		return sut.names()
+			.then(() => sut.fetch('blinky'))
+			.then(() => expect(requests).to.deep.equal([`/${mirrorIndex}`]));
+	});
+
+	it('downloads and extracts a library', () => {
+		const target = tmp.dirSync({ unsafeCleanup: true }).name;
+		return repo().fetch('blinky', '^1.1.0')
+			.then(lib => lib.copyTo(target))
+			.then(() => {
+				expect(fs.readFileSync(path.join(target, 'src', 'lib.cpp'), 'utf8')).to.equal('// 1.1.0');
+				expect(requests).to.include('/blinky-1.1.0.tar.gz');
+			});
+	});
+
+	it('reports the progress of the download and extraction', () => {
+		const target = tmp.dirSync({ unsafeCleanup: true }).name;
+		const sut = repo();
+		const events = [];
+		sut.on('progress', event => events.push(event));
+		return sut.fetch('blinky', '1.1.0')
+			.then(lib => lib.copyTo(target))
+			.then(() => {
+				const size = fs.statSync(path.join(dir, 'blinky-1.1.0.tar.gz')).size;
+				expect(events[0]).to.deep.equal({ type: 'download', library: 'blinky', url: `${base}blinky-1.1.0.tar.gz` });
+				expect(events.filter(event => event.type === 'received').pop()).to.include({ bytes: size, total: size });
+				expect(events.filter(event => event.type === 'extract').map(event => event.entry))
+					.to.include('src/lib.cpp');
+				expect(events.pop()).to.deep.equal({ type: 'done', library: 'blinky', files: 2 });
+			});
+	});
+
+	it('downloads an archive with an encoded name', () => {
+		const target = tmp.dirSync({ unsafeCleanup: true }).name;
+		return repo().fetch('my/lib')
+			.then(lib => lib.copyTo(target))
+			.then(() => expect(fs.existsSync(path.join(target, 'src', 'lib.cpp'))).to.be.true);
+	});
+
+	it('provides the archive download in the metadata', () => {
+		return repo().fetch('blinky', '1.1.0')
+			.then(lib => lib.metadata.download())
+			.then(archive => expect(archive).to.deep.equal(fs.readFileSync(path.join(dir, 'blinky-1.1.0.tar.gz'))));
+	});
+
+	it('rejects an archive that does not match its checksum', () => {
+		fs.writeFileSync(path.join(dir, 'blinky-1.1.0.tar.gz'), tarball);
+		return expect(repo().fetch('blinky', '1.1.0').then(lib => lib.metadata.download()))
+			.to.be.rejected.and.eventually.have.property('name', 'ArchiveIntegrityError');
+	});
+
+	it('rejects an index that cannot be retrieved', () => {
+		const sut = new HttpLibraryRepository(`${base}missing/${mirrorIndex}`);
+		return expect(sut.names()).to.be.rejectedWith('unable to retrieve');
+	});
+
+	it('retrieves the index again after failing to retrieve it', () => {
+		const index = path.join(dir, mirrorIndex);
+		fs.renameSync(index, `${index}.moved`);
+		const sut = repo();
+		return expect(sut.names()).to.be.rejectedWith('unable to retrieve')
+			.then(() => fs.renameSync(`${index}.moved`, index))
+			.then(() => expect(sut.names()).to.eventually.deep.equal(['blinky', 'my/lib']));
+	});
+});
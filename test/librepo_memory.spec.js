@@ -0,0 +1,176 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { expect } from './test-setup';
+import { MemoryLibraryRepository } from '../src/librepo_memory';
+import { FileSystemLibraryRepository, FileSystemNamingStrategy } from '../src/librepo_fs';
+const concat = require('concat-stream');
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+
+tmp.setGracefulCleanup();
+
+function content(file) {
+	return new Promise((fulfill) => {
+		file.content(concat(buffer => fulfill(buffer.toString('utf8'))));
+	});
+}
+
+describe('MemoryLibraryRepository', () => {
+	let sut;
+
+	beforeEach(() => {
+		sut = new MemoryLibraryRepository([
+			{ name: 'neopixel', version: '0.0.9', files: { 'src/neopixel.cpp': '// 0.0.9' } },
+			{ name: 'neopixel', version: '0.0.10', files: { 'src/neopixel.cpp': '// 0.0.10' } },
+			{ name: 'other', version: '1.0.0', sentence: 'other things' }
+		]);
+	});
+
+	it('lists the library names once each', () => {
+		return expect(sut.names()).to.eventually.deep.equal(['neopixel', 'other']);
+	});
+
+	it('lists the versions of a library', () => {
+		return expect(sut.versions('neopixel')).to.eventually.deep.equal(['0.0.9', '0.0.10']);
+	});
+
+	it('fetches the highest version by default', () => {
+		return sut.fetch('neopixel')
+			.then(lib => expect(lib.definition()).to.eventually.have.property('version').equal('0.0.10'));
+	});
+
+	it('fetches the highest version matching a range', () => {
+		return sut.fetch('neopixel', '<0.0.10')
+			.then(lib => expect(lib.definition()).to.eventually.have.property('version').equal('0.0.9'));
+	});
+
+	it('rejects an unknown library', () => {
+		return expect(sut.fetch('nope')).to.eventually.be.rejected.and.have.property('name', 'LibraryNotFoundError');
+	});
+
+	it('rejects a version that is not present', () => {
+		return expect(sut.fetch('neopixel', '1.x')).to.eventually.be.rejected
+			.and.have.property('name', 'LibraryNotFoundError');
+	});
+
+	it('provides the metadata without the files', () => {
+		return sut.fetch('other')
+			.then(lib => lib.definition())
+			.then(definition => expect(definition).to.deep.equal({ name: 'other', version: '1.0.0', sentence: 'other things' }));
+	});
+
+	it('provides the files of the version fetched', () => {
+		return sut.fetch('neopixel', '0.0.9')
+			.then(lib => lib.files())
+			.then(files => {
+				expect(files.map(file => [file.name, file.extension])).to.deep.equal([['src/neopixel', 'cpp']]);
+				return expect(content(files[0])).to.eventually.equal('// 0.0.9');
+			});
+	});
+
+	it('replaces a library version added again', () => {
+		sut.addJSON({ name: 'other', version: '1.0.0', sentence: 'replaced' });
+		return expect(sut.versions('other')).to.eventually.deep.equal(['1.0.0'])
+			.then(() => sut.fetch('other'))
+			.then(lib => expect(lib.definition()).to.eventually.have.property('sentence').equal('replaced'));
+	});
+
+	it('rejects a library without a name', () => {
+		expect(() => sut.addJSON({ version: '1.0.0' })).to.throw('library has no name');
+	});
+
+	it('adds a library from another repo', () => {
+		const target = new MemoryLibraryRepository();
+		return sut.fetch('neopixel')
+			.then(lib => target.add(lib))
+			.then(() => target.fetch('neopixel'))
+			.then(lib => Promise.all([lib.definition(), lib.files()]))
+			.then(([definition, files]) => {
+				expect(definition.version).to.equal('0.0.10');
+				expect(files).to.have.length(1);
+				return expect(content(files[0])).to.eventually.equal('// 0.0.10');
+			});
+	});
+
+	it('adds a library from a directory', () => {
+		const dir = path.join(__dirname, '..', 'resources', 'libraries', 'library-v2');
+		return sut.addDirectory(dir)
+			.then(() => sut.fetch('uber-library-example'))
+			.then(lib => Promise.all([lib.definition(), lib.files()]))
+			.then(([definition, files]) => {
+				expect(definition.version).to.equal('0.0.10');
+				const names = files.map(file => `${file.name}.${file.extension}`);
+				expect(names).to.include('src/uber-library-example.cpp');
+				expect(names).to.include('examples/blink-an-led/blink-an-led.cpp');
+				expect(names).to.not.include('library.properties');
+				const source = files[names.indexOf('src/uber-library-example.h')];
+				const expected = fs.readFileSync(path.join(dir, 'src', 'uber-library-example.h'), 'utf8');
+				return expect(content(source)).to.eventually.equal(expected);
+			});
+	});
+
+	describe('search', () => {
+		beforeEach(() => {
+			sut.addJSON({
+				name: 'servo', version: '1.0.0', sentence: 'Drives servos', author: 'Jane', architectures: 'particle-electron'
+			});
+			sut.addJSON({
+				name: 'leds', version: '1.0.0', sentence: 'Blinks LEDs', paragraph: 'Works with any servo', author: 'Joe'
+			});
+		});
+
+		function names(libs) {
+			return libs.map(lib => lib.name);
+		}
+
+		it('matches the query against the name, sentence and paragraph', () => {
+			return expect(sut.search('servo').then(names)).to.eventually.deep.equal(['leds', 'servo']);
+		});
+
+		it('filters by architecture and author', () => {
+			return Promise.all([
+				expect(sut.search('', { architectures: ['particle-electron'] }).then(names)).to.eventually.deep
+					.equal(['leds', 'neopixel', 'other', 'servo']),
+				expect(sut.search('servo', { author: 'jane' }).then(names)).to.eventually.deep.equal(['servo'])
+			]);
+		});
+
+		it('sorts and pages the results', () => {
+			return Promise.all([
+				expect(sut.search('', { sort: '-name', limit: 2 }).then(names)).to.eventually.deep
+					.equal(['servo', 'other']),
+				expect(sut.search('', { sort: '-name', limit: 2, page: 2 }).then(names)).to.eventually.deep
+					.equal(['neopixel', 'leds'])
+			]);
+		});
+	});
+
+	it('can be copied to a filesystem repo', () => {
+		const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+		const target = new FileSystemLibraryRepository(dir, FileSystemNamingStrategy.BY_NAME);
+		return sut.fetch('neopixel')
+			.then(lib => target.add(lib))
+			.then(() => {
+				const source = fs.readFileSync(path.join(dir, 'neopixel', 'src', 'neopixel.cpp'), 'utf8');
+				expect(source).to.equal('// 0.0.10');
+			});
+	});
+});
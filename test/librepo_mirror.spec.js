@@ -0,0 +1,174 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { expect, sinon } from './test-setup';
+import { MirrorLibraryRepository, mirrorLibraries, mirrorIndex, archiveFileName } from '../src/librepo_mirror';
+import { Dependency } from '../src/dependency_resolver';
+import { LibraryRepository, LibraryNotFoundError } from '../src/librepo';
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+
+tmp.setGracefulCleanup();
+
+describe('MirrorLibraryRepository', () => {
+	const tarball = fs.readFileSync(path.join(__dirname, 'fixtures', 'tarball.tar.gz'));
+	let cloud;
+	let dir;
+
+	beforeEach(() => {
+		dir = tmp.dirSync({ unsafeCleanup: true }).name;
+		const versions = ['0.0.9', '0.0.10', '0.1.0'];
+		cloud = new LibraryRepository();
+		cloud.fetch = sinon.spy((name, range) => {
+			const version = versions.find(v => v === range) || '0.1.0';
+			if (name !== 'neopixel') {
+				return Promise.reject(new LibraryNotFoundError(cloud, name));
+			}
+			const metadata = { name, version, sentence: 'pixels', download: () => Promise.resolve(tarball) };
+			return Promise.resolve({ name, metadata, definition: () => Promise.resolve(metadata) });
+		});
+	});
+
+	function mirror() {
+		return mirrorLibraries(cloud, dir, [new Dependency('neopixel', '0.0.10'), new Dependency('neopixel', '0.1.0')]);
+	}
+
+	describe('mirrorLibraries', () => {
+		it('writes an index and an archive for each library version', () => {
+			return mirror()
+				.then(() => {
+					const index = JSON.parse(fs.readFileSync(path.join(dir, mirrorIndex), 'utf8'));
+					expect(index.mirrorVersion).to.equal(1);
+					expect(index.libraries.map(lib => [lib.name, lib.version, lib.archive])).to.deep.equal([
+						['neopixel', '0.0.10', 'neopixel-0.0.10.tar.gz'], ['neopixel', '0.1.0', 'neopixel-0.1.0.tar.gz']
+					]);
+					expect(index.libraries[0].metadata).to.deep.equal({ name: 'neopixel', version: '0.0.10', sentence: 'pixels' });
+					expect(fs.readFileSync(path.join(dir, 'neopixel-0.1.0.tar.gz'))).to.deep.equal(tarball);
+					const sha256 = crypto.createHash('sha256').update(tarball).digest('hex');
+					expect(index.libraries[1].sha256).to.equal(sha256);
+				});
+		});
+
+		it('keeps the libraries already mirrored', () => {
+			return mirrorLibraries(cloud, dir, [new Dependency('neopixel', '0.0.9')])
+				.then(() => mirror())
+				.then(repo => expect(repo.versions('neopixel')).to.eventually.deep.equal(['0.0.10', '0.0.9', '0.1.0']));
+		});
+
+		it('keeps an index it cannot read', () => {
+			const index = '{"mirrorVersion": 2, "libraries": []}';
+			fs.writeFileSync(path.join(dir, mirrorIndex), index);
+			return expect(mirror()).to.be.rejectedWith('unsupported mirror version 2')
+				.then(() => expect(fs.readFileSync(path.join(dir, mirrorIndex), 'utf8')).to.equal(index));
+		});
+
+		it('fails when a library cannot be fetched', () => {
+			return expect(mirrorLibraries(cloud, dir, [new Dependency('unknown', '1.0.0')])).to.be.rejected;
+		});
+	});
+
+	describe('serving a snapshot', () => {
+		let sut;
+
+		beforeEach(() => {
+			return mirror()
+				.then(() => {
+					cloud.fetch = sinon.stub().rejects(new Error('no network'));
+					sut = new MirrorLibraryRepository(dir);
+				});
+		});
+
+		it('lists the library names', () => {
+			return expect(sut.names()).to.eventually.deep.equal(['neopixel']);
+		});
+
+		it('lists the versions of a library', () => {
+			return expect(sut.versions('neopixel')).to.eventually.deep.equal(['0.0.10', '0.1.0']);
+		});
+
+		it('fetches the highest version by default', () => {
+			return sut.fetch('neopixel')
+				.then(lib => {
+					expect(lib.name).to.equal('neopixel');
+					return expect(lib.definition()).to.eventually.have.property('version', '0.1.0');
+				});
+		});
+
+		it('fetches the highest version in a range', () => {
+			return expect(sut.fetch('neopixel', '~0.0.1')).to.eventually.have.property('metadata')
+				.that.has.property('version', '0.0.10');
+		});
+
+		it('raises LibraryNotFoundError for versions or libraries not in the snapshot', () => {
+			return Promise.all([
+				expect(sut.fetch('neopixel', '^1.0.0')).to.be.rejected.and.eventually.have.property('name', 'LibraryNotFoundError'),
+				expect(sut.fetch('unknown')).to.be.rejected.and.eventually.have.property('name', 'LibraryNotFoundError'),
+				expect(sut.versions('unknown')).to.be.rejected.and.eventually.have.property('name', 'LibraryNotFoundError')
+			]);
+		});
+
+		it('extracts a library from its archive', () => {
+			const target = path.join(dir, 'lib', 'neopixel');
+			return sut.fetch('neopixel', '0.0.10')
+				.then(lib => lib.copyTo(target))
+				.then(() => {
+					expect(fs.existsSync(path.join(target, 'library.properties'))).to.be.true;
+					expect(fs.existsSync(path.join(target, 'src', 'neopixel.cpp'))).to.be.true;
+					expect(cloud.fetch).to.not.have.been.called;
+				});
+		});
+
+		it('refuses an archive that does not match the checksum in the index', () => {
+			const target = path.join(dir, 'lib', 'neopixel');
+			fs.writeFileSync(path.join(dir, 'neopixel-0.0.10.tar.gz'), Buffer.concat([tarball, Buffer.from('x')]));
+			return expect(sut.fetch('neopixel', '0.0.10').then(lib => lib.copyTo(target))).to.be.rejected
+				.then(error => {
+					expect(error).to.have.property('name', 'ArchiveIntegrityError');
+					expect(fs.existsSync(target)).to.be.false;
+				});
+		});
+
+		it('refuses an archive that does not match the checksum given', () => {
+			const target = path.join(dir, 'lib', 'neopixel');
+			return expect(sut.fetch('neopixel', '0.0.10').then(lib => lib.copyTo(target, { sha256: '00' })))
+				.to.be.rejected.and.eventually.have.property('name', 'ArchiveIntegrityError');
+		});
+
+		it('rejects an unsupported index', () => {
+			fs.writeFileSync(path.join(dir, mirrorIndex), '{"mirrorVersion": 2, "libraries": []}');
+			return expect(new MirrorLibraryRepository(dir).names()).to.be.rejectedWith('unsupported mirror version 2');
+		});
+
+		it('reads the index again after failing to read it', () => {
+			const index = fs.readFileSync(path.join(dir, mirrorIndex));
+			fs.unlinkSync(path.join(dir, mirrorIndex));
+			return expect(sut.names()).to.be.rejected
+				.then(() => fs.writeFileSync(path.join(dir, mirrorIndex), index))
+				.then(() => expect(sut.names()).to.eventually.deep.equal(['neopixel']));
+		});
+	});
+
+	describe('archiveFileName', () => {
+		it('encodes the library name', () => {
+			expect(archiveFileName('my/lib', '1.0.0')).to.equal('my%2Flib-1.0.0.tar.gz');
+		});
+	});
+});
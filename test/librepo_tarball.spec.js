@@ -0,0 +1,139 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { expect, sinon } from './test-setup';
+import { TarballLibraryRepository } from '../src/librepo_tarball';
+import { LibraryContributor } from '../src/libcontribute';
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+
+tmp.setGracefulCleanup();
+
+describe('TarballLibraryRepository', () => {
+	const tarball = path.join(__dirname, 'fixtures', 'tarball.tar.gz');
+	let dir;
+	let sut;
+
+	// archives a library in the same way as a dry-run contribution
+	function contribute(name, version, file) {
+		const libdir = tmp.dirSync({ unsafeCleanup: true }).name;
+		fs.mkdirSync(path.join(libdir, 'src'));
+		fs.writeFileSync(path.join(libdir, 'library.properties'),
+			`name=${name}\nversion=${version}\nsentence=${name} things\ndependencies.neopixel=0.0.10\n`);
+		fs.writeFileSync(path.join(libdir, 'src', `${name}.cpp`), `// ${name} ${version}`);
+		const contributor = new LibraryContributor({});
+		return contributor._targzdir(libdir, ['*.cpp', '*.h', '*.properties'])
+			.then(stream => new Promise((fulfill, reject) => {
+				const write = fs.createWriteStream(path.join(dir, file));
+				write.on('finish', fulfill);
+				write.on('error', reject);
+				stream.pipe(write);
+			}));
+	}
+
+	beforeEach(() => {
+		dir = tmp.dirSync({ unsafeCleanup: true }).name;
+		fs.writeFileSync(path.join(dir, 'vendor-neopixel.tar.gz'), fs.readFileSync(tarball));
+		fs.writeFileSync(path.join(dir, 'README.txt'), 'not an archive');
+		sut = new TarballLibraryRepository(dir);
+		return contribute('blinky', '1.0.0', 'blinky-1.0.0.tar.gz')
+			.then(() => contribute('blinky', '1.1.0', 'blinky-1.1.0.tar.gz'));
+	});
+
+	it('lists the libraries named in the archives', () => {
+		return expect(sut.names()).to.eventually.deep.equal(['blinky', 'neopixel']);
+	});
+
+	it('reads the directory again after failing to read it', () => {
+		const missing = new TarballLibraryRepository(path.join(dir, 'archives'));
+		return expect(missing.names()).to.be.rejected
+			.then(() => {
+				fs.mkdirSync(path.join(dir, 'archives'));
+				fs.writeFileSync(path.join(dir, 'archives', 'neopixel.tar.gz'), fs.readFileSync(tarball));
+				return expect(missing.names()).to.eventually.deep.equal(['neopixel']);
+			});
+	});
+
+	it('lists the versions of a library', () => {
+		return expect(sut.versions('blinky')).to.eventually.deep.equal(['1.0.0', '1.1.0']);
+	});
+
+	it('fetches the highest version by default', () => {
+		return sut.fetch('blinky')
+			.then(lib => lib.definition())
+			.then(definition => {
+				expect(definition.version).to.equal('1.1.0');
+				expect(definition.description).to.equal('blinky things');
+				expect(definition.dependencies.map(dep => [dep.name, dep.version])).to.deep.equal([['neopixel', '0.0.10']]);
+			});
+	});
+
+	it('fetches a version matching a range', () => {
+		return sut.fetch('blinky', '~1.0.0')
+			.then(lib => expect(lib.definition()).to.eventually.have.property('version').equal('1.0.0'));
+	});
+
+	it('rejects a library that is not present', () => {
+		return expect(sut.fetch('nope')).to.eventually.be.rejected.and.have.property('name', 'LibraryNotFoundError');
+	});
+
+	it('extracts a library from its archive', () => {
+		const target = tmp.dirSync({ unsafeCleanup: true }).name;
+		return sut.fetch('blinky', '1.0.0')
+			.then(lib => lib.copyTo(target))
+			.then(() => {
+				expect(fs.readFileSync(path.join(target, 'src', 'blinky.cpp'), 'utf8')).to.equal('// blinky 1.0.0');
+				expect(fs.existsSync(path.join(target, 'library.properties'))).to.be.true;
+			});
+	});
+
+	it('extracts a library archive from the cloud', () => {
+		const target = tmp.dirSync({ unsafeCleanup: true }).name;
+		return sut.fetch('neopixel')
+			.then(lib => lib.copyTo(target))
+			.then(() => expect(fs.existsSync(path.join(target, 'src', 'neopixel.cpp'))).to.be.true);
+	});
+
+	it('skips an archive without a library descriptor with a warning', () => {
+		const logger = { warn: sinon.spy() };
+		sut = new TarballLibraryRepository(dir, { logger });
+		const empty = tmp.dirSync({ unsafeCleanup: true }).name;
+		fs.writeFileSync(path.join(empty, 'README.md'), 'readme');
+		const contributor = new LibraryContributor({});
+		return contributor._targzdir(empty, ['*.md'])
+			.then(stream => new Promise((fulfill) => {
+				const write = fs.createWriteStream(path.join(dir, 'broken-1.0.0.tar.gz'));
+				write.on('finish', fulfill);
+				stream.pipe(write);
+			}))
+			.then(() => expect(sut.names()).to.eventually.deep.equal(['blinky', 'neopixel']))
+			.then(() => {
+				expect(logger.warn).to.have.been.calledOnce;
+				const record = logger.warn.firstCall.args[0];
+				expect(record.message).to.contain('broken-1.0.0.tar.gz');
+				expect(record.error.message).to.contain('does not contain library.properties');
+			});
+	});
+
+	it('skips an archive that cannot be read', () => {
+		fs.writeFileSync(path.join(dir, 'corrupt-1.0.0.tar.gz'), 'not gzipped');
+		return expect(sut.names()).to.eventually.deep.equal(['blinky', 'neopixel']);
+	});
+});
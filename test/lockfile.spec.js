@@ -0,0 +1,201 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { expect } from './test-setup';
+import { Lockfile, LockfileMismatchError, createLockfile, verifyLockfile, hashDirectory, lockfileName } from '../src/lockfile';
+import { Dependency } from '../src/dependency_resolver';
+import { FileSystemLibraryRepository } from '../src/librepo_fs';
+import { CompositeLibraryRepository } from '../src/librepo_composite';
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+
+tmp.setGracefulCleanup();
+
+/**
+ * Writes a v2 library to the filesystem.
+ * @param {string} dir The repo directory
+ * @param {string} name The library name
+ * @param {string} version The library version
+ * @param {string} source The content of the library source file.
+ * @returns {undefined} nothing
+ */
+function writeLib(dir, name, version, source = '// a cpp file') {
+	const libdir = path.join(dir, name);
+	fs.mkdirSync(libdir);
+	fs.mkdirSync(path.join(libdir, 'src'));
+	fs.writeFileSync(path.join(libdir, 'library.properties'), `name=${name}\nversion=${version}\n`);
+	fs.writeFileSync(path.join(libdir, 'src', `${name}.cpp`), source);
+}
+
+describe('Lockfile', () => {
+	let dir;
+	let repo;
+
+	beforeEach(() => {
+		dir = tmp.dirSync({ unsafeCleanup: true }).name;
+		repo = new FileSystemLibraryRepository(dir);
+		writeLib(dir, 'neopixel', '0.0.10');
+		writeLib(dir, 'alpha', '1.2.3');
+	});
+
+	const dependencies = [new Dependency('neopixel', '0.0.10'), new Dependency('alpha', '1.2.3')];
+
+	describe('hashDirectory', () => {
+		it('produces a sha256 hash', () => {
+			return expect(hashDirectory(path.join(dir, 'alpha'))).to.eventually.match(/^sha256:[0-9a-f]{64}$/);
+		});
+
+		it('gives the same hash for the same content', () => {
+			writeLib(dir, 'beta', '1.2.3');
+			fs.writeFileSync(path.join(dir, 'beta', 'library.properties'), 'name=alpha\nversion=1.2.3\n');
+			fs.renameSync(path.join(dir, 'beta', 'src', 'beta.cpp'), path.join(dir, 'beta', 'src', 'alpha.cpp'));
+			return Promise.all([hashDirectory(path.join(dir, 'alpha')), hashDirectory(path.join(dir, 'beta'))])
+				.then(([alpha, beta]) => expect(alpha).to.equal(beta));
+		});
+
+		it('gives a different hash when a file changes', () => {
+			return hashDirectory(path.join(dir, 'alpha'))
+				.then(before => {
+					fs.writeFileSync(path.join(dir, 'alpha', 'src', 'alpha.cpp'), '// changed');
+					return expect(hashDirectory(path.join(dir, 'alpha'))).to.eventually.not.equal(before);
+				});
+		});
+	});
+
+	describe('createLockfile', () => {
+		it('records the name, version, repository and hash of each library, sorted by name', () => {
+			return createLockfile(dependencies, repo, 'cloud')
+				.then(lockfile => {
+					expect(lockfile.libraries.map(lib => [lib.name, lib.version, lib.repository])).to.deep.equal([
+						['alpha', '1.2.3', 'cloud'], ['neopixel', '0.0.10', 'cloud']
+					]);
+					expect(lockfile.library('alpha').hash).to.match(/^sha256:/);
+				});
+		});
+
+		it('records the repository each library came from', () => {
+			const local = new FileSystemLibraryRepository(dir);
+			const cloud = new FileSystemLibraryRepository(tmp.dirSync({ unsafeCleanup: true }).name);
+			const composite = new CompositeLibraryRepository([local, cloud]);
+			local.names = () => Promise.resolve(['alpha']);
+			cloud.names = () => Promise.resolve(['alpha', 'neopixel']);
+			return composite.names()
+				.then(() => createLockfile(dependencies, repo, name => composite.source(name) === local ? 'local' : 'cloud'))
+				.then(lockfile => {
+					expect(lockfile.libraries.map(lib => [lib.name, lib.repository])).to.deep.equal([
+						['alpha', 'local'], ['neopixel', 'cloud']
+					]);
+				});
+		});
+
+		it('hashes a library stored in a directory with another name', () => {
+			fs.renameSync(path.join(dir, 'alpha'), path.join(dir, 'vendored-alpha'));
+			return createLockfile(dependencies, new FileSystemLibraryRepository(dir), 'cloud')
+				.then(lockfile => expect(lockfile.library('alpha').hash).to.match(/^sha256:/));
+		});
+
+		it('records the archive checksums given', () => {
+			return createLockfile(dependencies, repo, 'cloud', { alpha: 'ab12' })
+				.then(lockfile => {
+					const json = JSON.parse(lockfile.serialize());
+					expect(json.libraries.map(lib => lib.sha256)).to.deep.equal(['ab12', undefined]);
+				});
+		});
+
+		it('is deterministic', () => {
+			const reversed = dependencies.slice().reverse();
+			return Promise.all([createLockfile(dependencies, repo, 'cloud'), createLockfile(reversed, repo, 'cloud')])
+				.then(([first, second]) => expect(first.serialize()).to.equal(second.serialize()));
+		});
+	});
+
+	describe('read and write', () => {
+		it('round-trips through a file', () => {
+			const file = path.join(dir, lockfileName);
+			const lockfile = new Lockfile([{ name: 'a', version: '1.0.0', repository: 'cloud', hash: 'sha256:00' }]);
+			return lockfile.write(file)
+				.then(() => Lockfile.read(file))
+				.then(read => expect(read.serialize()).to.equal(lockfile.serialize()));
+		});
+
+		it('rejects an unsupported lockfile version', () => {
+			const file = path.join(dir, lockfileName);
+			fs.writeFileSync(file, '{"lockfileVersion": 99, "libraries": []}');
+			return expect(Lockfile.read(file)).to.eventually.be.rejectedWith('unsupported lockfile version 99');
+		});
+
+		it('provides the locked dependencies at their exact versions', () => {
+			const lockfile = new Lockfile([{ name: 'a', version: '1.0.0', repository: 'cloud', hash: 'sha256:00' }]);
+			expect(lockfile.dependencies()).to.deep.equal([new Dependency('a', '1.0.0')]);
+		});
+	});
+
+	describe('verifyLockfile', () => {
+		function expectMismatch(promise, mismatches) {
+			return promise.then(() => {
+				throw new Error('expected verification to fail');
+			}, error => {
+				expect(error.name).to.equal('LockfileMismatchError');
+				expect(error.mismatches.map(m => [m.name, m.reason])).to.deep.equal(mismatches);
+			});
+		}
+
+		it('accepts the installed libraries when unchanged', () => {
+			return createLockfile(dependencies, repo, 'cloud')
+				.then(lockfile => expect(verifyLockfile(lockfile, repo)).to.eventually.equal(lockfile));
+		});
+
+		it('fails when a library is modified', () => {
+			return createLockfile(dependencies, repo, 'cloud')
+				.then(lockfile => {
+					fs.writeFileSync(path.join(dir, 'alpha', 'src', 'alpha.cpp'), '// patched');
+					return expectMismatch(verifyLockfile(lockfile, repo), [['alpha', 'hash']]);
+				});
+		});
+
+		it('fails when a library version changes', () => {
+			return createLockfile(dependencies, repo, 'cloud')
+				.then(lockfile => {
+					fs.writeFileSync(path.join(dir, 'alpha', 'library.properties'), 'name=alpha\nversion=1.3.0\n');
+					return expectMismatch(verifyLockfile(lockfile, repo), [['alpha', 'version']]);
+				});
+		});
+
+		it('fails when libraries are missing or not in the lockfile', () => {
+			return createLockfile([new Dependency('alpha', '1.2.3')], repo, 'cloud')
+				.then(lockfile => {
+					lockfile.libraries.push({ name: 'gone', version: '1.0.0', repository: 'cloud', hash: 'sha256:00' });
+					return expectMismatch(verifyLockfile(lockfile, repo), [['gone', 'missing'], ['neopixel', 'unexpected']]);
+				});
+		});
+	});
+
+	describe('LockfileMismatchError', () => {
+		it('lists the libraries that do not match', () => {
+			const sut = new LockfileMismatchError([{ name: 'a', reason: 'hash' }, { name: 'b', reason: 'missing' }]);
+			expect(sut.message).to.equal('installed libraries do not match the lockfile: a (hash), b (missing)');
+		});
+
+		it('keeps format characters in library names', () => {
+			const sut = new LockfileMismatchError([{ name: '100%s', reason: 'missing' }]);
+			expect(sut.message).to.equal('installed libraries do not match the lockfile: 100%s (missing)');
+		});
+	});
+});
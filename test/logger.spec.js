@@ -0,0 +1,89 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { expect, sinon } from './test-setup';
+import { logLevels, nullLogger, formatLogRecord, createLogger, logOperation } from '../src/logger';
+import { LibraryRepository, AbstractLibrary, AbstractLibraryRepository } from '../src/librepo';
+
+describe('logger', () => {
+
+	it('has a no-op logger for each level', () => {
+		logLevels.forEach(level => expect(nullLogger[level]({ operation: 'test' })).to.be.undefined);
+	});
+
+	describe('createLogger', () => {
+		it('writes records at the level and more severe levels', () => {
+			const write = sinon.spy();
+			const logger = createLogger({ level: 'warn', write });
+			logLevels.forEach(level => logger[level]({ operation: level }));
+			expect(write).to.have.been.calledTwice;
+			expect(write).to.have.been.calledWith('error', { operation: 'error' });
+			expect(write).to.have.been.calledWith('warn', { operation: 'warn' });
+		});
+
+		it('rejects an unknown level', () => {
+			expect(() => createLogger({ level: 'verbose' })).to.throw('unknown log level "verbose"');
+		});
+	});
+
+	it('formats a record as a line of text', () => {
+		const record = { operation: 'copyTo', library: 'neopixel', elapsed: 12, error: new Error('no space') };
+		expect(formatLogRecord('info', record)).to.equal('[info] copyTo neopixel (12ms) failed: no space');
+		expect(formatLogRecord('debug', { operation: 'get', message: 'http://example.com' }))
+			.to.equal('[debug] get http://example.com');
+	});
+
+	describe('logOperation', () => {
+		let logger;
+
+		beforeEach(() => {
+			logger = { info: sinon.spy() };
+		});
+
+		it('logs the operation with the time it took', () => {
+			return logOperation(logger, 'info', { operation: 'fetch', library: 'neopixel' }, () => 'result')
+				.then(result => {
+					expect(result).to.equal('result');
+					const record = logger.info.firstCall.args[0];
+					expect(record).to.include({ operation: 'fetch', library: 'neopixel' });
+					expect(record.elapsed).to.be.a('number');
+				});
+		});
+
+		it('logs the error an operation fails with', () => {
+			const error = new Error('failed');
+			return expect(logOperation(logger, 'info', { operation: 'fetch' }, () => Promise.reject(error)))
+				.to.be.rejectedWith('failed')
+				.then(() => expect(logger.info.firstCall.args[0]).to.have.property('error', error));
+		});
+	});
+
+	describe('repositories', () => {
+		it('log nothing by default', () => {
+			expect(new LibraryRepository().logger).to.equal(nullLogger);
+		});
+
+		it('log operations on libraries to the logger of the repo', () => {
+			const logger = { info: sinon.spy() };
+			const repo = new AbstractLibraryRepository({ logger });
+			return new AbstractLibrary('neopixel', {}, repo)._logOperation('copyTo', () => undefined)
+				.then(() => expect(logger.info.firstCall.args[0]).to.include({ operation: 'copyTo', library: 'neopixel' }));
+		});
+	});
+});
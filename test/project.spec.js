@@ -0,0 +1,409 @@
+/*
+ ******************************************************************************
+ Copyright (c) 2016 Particle Industries, Inc.  All rights reserved.
+
+ This program is free software; you can redistribute it and/or
+ modify it under the terms of the GNU Lesser General Public
+ License as published by the Free Software Foundation, either
+ version 3 of the License, or (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ Lesser General Public License for more details.
+
+ You should have received a copy of the GNU Lesser General Public
+ License along with this program; if not, see <http://www.gnu.org/licenses/>.
+ ******************************************************************************
+ */
+
+import { expect, sinon } from './test-setup';
+import { installDependencies, outdatedLibraries, projectDependencies, projectProperties, upgradeLibrary }
+	from '../src/project';
+import { Dependency } from '../src/dependency_resolver';
+import { FileSystemLibraryRepository } from '../src/librepo_fs';
+import { LibraryNotFoundError, highestMatchingVersion } from '../src/librepo';
+import { Lockfile, createLockfile } from '../src/lockfile';
+import { MirrorLibraryRepository, archiveFileName, mirrorIndex, mirrorLibraries } from '../src/librepo_mirror';
+import { archiveChecksum, createArchive } from '../src/archive';
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+
+tmp.setGracefulCleanup();
+
+/**
+ * Writes a library with a flat layout to the filesystem.
+ * @param {string} dir The repo directory
+ * @param {string} name The library name
+ * @param {string} version The library version
+ * @param {string} extra Additional library properties
+ * @returns {undefined} nothing
+ */
+function writeLib(dir, name, version, extra = '') {
+	const libdir = path.join(dir, name);
+	fs.mkdirSync(libdir);
+	fs.writeFileSync(path.join(libdir, 'library.properties'), `name=${name}\nversion=${version}\n${extra}`);
+	fs.writeFileSync(path.join(libdir, `${name}.cpp`), `// ${name} ${version}`);
+}
+
+describe('project', () => {
+	let projectDir;
+	let repo;
+
+	beforeEach(() => {
+		const repoDir = tmp.dirSync({ unsafeCleanup: true }).name;
+		writeLib(repoDir, 'alpha', '1.0.0', 'dependencies.beta=1.2.0\n');
+		writeLib(repoDir, 'beta', '1.2.0');
+		repo = new FileSystemLibraryRepository(repoDir);
+
+		projectDir = tmp.dirSync({ unsafeCleanup: true }).name;
+		fs.writeFileSync(path.join(projectDir, projectProperties), 'name=myproject\ndependencies.alpha=1.0.0\n');
+	});
+
+	function libFile(name, file) {
+		return path.join(projectDir, 'lib', name, file);
+	}
+
+	describe('projectDependencies', () => {
+		it('reads the dependencies from project.properties', () => {
+			return expect(projectDependencies(projectDir)).to.eventually.deep.equal([new Dependency('alpha', '1.0.0')]);
+		});
+
+		it('returns no dependencies when none are declared', () => {
+			fs.writeFileSync(path.join(projectDir, projectProperties), 'name=myproject\n');
+			return expect(projectDependencies(projectDir)).to.eventually.deep.equal([]);
+		});
+	});
+
+	describe('installDependencies', () => {
+		it('installs the resolved libraries into the lib folder', () => {
+			return installDependencies(projectDir, repo)
+				.then(report => {
+					expect(report.dependencies.map(dep => dep.id)).to.deep.equal(['alpha@1.0.0', 'beta@1.2.0']);
+					expect(report.installed).to.deep.equal(['alpha', 'beta']);
+					expect(report.unchanged).to.deep.equal([]);
+					expect(report.removed).to.deep.equal([]);
+					expect(report.extraneous).to.deep.equal([]);
+					expect(fs.readFileSync(libFile('alpha', 'alpha.cpp'), 'utf8')).to.equal('// alpha 1.0.0');
+					expect(fs.readFileSync(libFile('beta', 'library.properties'), 'utf8')).to.contain('version=1.2.0');
+				});
+		});
+
+		it('leaves libraries already installed at the resolved version', () => {
+			return installDependencies(projectDir, repo)
+				.then(() => installDependencies(projectDir, repo))
+				.then(report => {
+					expect(report.installed).to.deep.equal([]);
+					expect(report.unchanged).to.deep.equal(['alpha', 'beta']);
+				});
+		});
+
+		it('replaces a library installed at a different version', () => {
+			fs.mkdirSync(path.join(projectDir, 'lib'));
+			writeLib(path.join(projectDir, 'lib'), 'beta', '0.9.0');
+			return installDependencies(projectDir, repo)
+				.then(report => {
+					expect(report.installed).to.deep.equal(['alpha', 'beta']);
+					expect(fs.readFileSync(libFile('beta', 'beta.cpp'), 'utf8')).to.equal('// beta 1.2.0');
+				});
+		});
+
+		it('removes libraries from the previous lockfile that are no longer needed', () => {
+			fs.mkdirSync(path.join(projectDir, 'lib'));
+			writeLib(path.join(projectDir, 'lib'), 'stale', '1.0.0');
+			const lockfile = new Lockfile([{ name: 'stale', version: '1.0.0' }]);
+			return installDependencies(projectDir, repo, undefined, { lockfile })
+				.then(report => {
+					expect(report.removed).to.deep.equal(['stale']);
+					expect(report.extraneous).to.deep.equal([]);
+					expect(fs.existsSync(path.join(projectDir, 'lib', 'stale'))).to.be.false;
+				});
+		});
+
+		it('keeps libraries it did not install', () => {
+			fs.mkdirSync(path.join(projectDir, 'lib'));
+			writeLib(path.join(projectDir, 'lib'), 'vendored', '1.0.0');
+			return installDependencies(projectDir, repo, undefined, { lockfile: new Lockfile([]) })
+				.then(report => {
+					expect(report.removed).to.deep.equal([]);
+					expect(report.extraneous).to.deep.equal(['vendored']);
+					expect(fs.existsSync(path.join(projectDir, 'lib', 'vendored'))).to.be.true;
+				});
+		});
+
+		it('uses copyTo when the library provides it', () => {
+			const lib = {
+				definition: () => Promise.resolve({ name: 'cloudy', version: '2.0.0' }),
+				copyTo: sinon.spy(dir => {
+					writeLib(path.dirname(dir), 'cloudy', '2.0.0');
+					return Promise.resolve(lib);
+				})
+			};
+			const cloud = { fetch: sinon.stub().returns(Promise.resolve(lib)) };
+			fs.writeFileSync(path.join(projectDir, projectProperties), 'dependencies.cloudy=^2.0.0\n');
+			return installDependencies(projectDir, cloud)
+				.then(report => {
+					expect(report.installed).to.deep.equal(['cloudy']);
+					expect(cloud.fetch).to.have.been.calledWith('cloudy', '2.0.0');
+					expect(lib.copyTo).to.have.been.calledWith(path.join(projectDir, 'lib', 'cloudy') + path.sep);
+				});
+		});
+
+		it('passes the archive checksum from the lockfile to copyTo', () => {
+			const lib = {
+				definition: () => Promise.resolve({ name: 'cloudy', version: '2.0.0' }),
+				copyTo: sinon.spy(dir => {
+					writeLib(path.dirname(dir), 'cloudy', '2.0.0');
+					return Promise.resolve(lib);
+				})
+			};
+			const cloud = { fetch: sinon.stub().returns(Promise.resolve(lib)) };
+			const lockfile = new Lockfile([{ name: 'cloudy', version: '2.0.0', sha256: 'ab12' }]);
+			fs.writeFileSync(path.join(projectDir, projectProperties), 'dependencies.cloudy=^2.0.0\n');
+			return installDependencies(projectDir, cloud, undefined, { lockfile })
+				.then(() => expect(lib.copyTo).to.have.been.calledWith(path.join(projectDir, 'lib', 'cloudy') + path.sep,
+					{ sha256: 'ab12', replace: true }));
+		});
+
+		describe('from a mirror', () => {
+			let mirrorDir;
+			let mirror;
+
+			beforeEach(() => {
+				mirrorDir = tmp.dirSync({ unsafeCleanup: true }).name;
+				const source = new FileSystemLibraryRepository(repo.path);
+				const archiveOf = (name) => createArchive(path.join(repo.path, name));
+				source.fetch = (name, version) => repo.fetch(name, version)
+					.then(lib => Object.assign(lib, { metadata: Object.assign({}, lib.metadata, {
+						download: () => archiveOf(name)
+					}) }));
+				return mirrorLibraries(source, mirrorDir, [new Dependency('alpha', '1.0.0'), new Dependency('beta', '1.2.0')])
+					.then(created => {
+						mirror = created;
+					});
+			});
+
+			it('reports the checksum of each archive installed, for the lockfile', () => {
+				const versions = { alpha: '1.0.0', beta: '1.2.0' };
+				const checksum = name => archiveChecksum(fs.readFileSync(path.join(mirrorDir,
+					archiveFileName(name, versions[name]))));
+				return installDependencies(projectDir, mirror)
+					.then(report => {
+						expect(report.checksums).to.deep.equal({ alpha: checksum('alpha'), beta: checksum('beta') });
+						const installed = new FileSystemLibraryRepository(path.join(projectDir, 'lib'));
+						return createLockfile(report.dependencies, installed, 'mirror', report.checksums);
+					})
+					.then(lockfile => {
+						expect(lockfile.library('alpha').sha256).to.equal(checksum('alpha'));
+						return installDependencies(projectDir, mirror, undefined, { lockfile });
+					})
+					.then(report => expect(report.checksums).to.deep.equal({ alpha: checksum('alpha'), beta: checksum('beta') }));
+			});
+
+			it('verifies a reinstall against the checksums recorded in the lockfile', () => {
+				return installDependencies(projectDir, mirror)
+					.then(report => {
+						const installed = new FileSystemLibraryRepository(path.join(projectDir, 'lib'));
+						return createLockfile(report.dependencies, installed, 'mirror', report.checksums);
+					})
+					.then(lockfile => {
+						// the mirror now serves another archive for beta, consistent with its own index
+						const indexFile = path.join(mirrorDir, mirrorIndex);
+						const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+						const alpha = index.libraries.find(entry => entry.name === 'alpha');
+						const beta = index.libraries.find(entry => entry.name === 'beta');
+						Object.assign(beta, { archive: alpha.archive, sha256: alpha.sha256 });
+						fs.writeFileSync(indexFile, JSON.stringify(index));
+						fs.unlinkSync(path.join(projectDir, 'lib', 'beta', 'library.properties'));
+						mirror = new MirrorLibraryRepository(mirrorDir);
+						return expect(installDependencies(projectDir, mirror, undefined, { lockfile })).to.be.rejected;
+					})
+					.then(error => {
+						expect(error).to.have.property('name', 'ArchiveIntegrityError');
+						expect(error.message).to.contain('beta');
+					});
+			});
+		});
+
+		it('fails when the project has no project.properties', () => {
+			fs.unlinkSync(path.join(projectDir, projectProperties));
+			return expect(installDependencies(projectDir, repo)).to.eventually.be.rejected;
+		});
+	});
+
+	describe('outdatedLibraries', () => {
+		let installed;
+		let cloud;
+
+		beforeEach(() => {
+			const libDir = path.join(projectDir, 'lib');
+			fs.mkdirSync(libDir);
+			writeLib(libDir, 'alpha', '1.0.0');
+			writeLib(libDir, 'beta', '1.2.0');
+			writeLib(libDir, 'private', '0.1.0');
+			installed = new FileSystemLibraryRepository(libDir);
+			const available = { alpha: ['2.0.0', '1.1.0', '1.0.0'], beta: ['1.2.0', '1.0.0'] };
+			cloud = {
+				versions: sinon.spy(name => available[name] ? Promise.resolve(available[name]) :
+					Promise.reject(new LibraryNotFoundError(cloud, name)))
+			};
+		});
+
+		it('reports the current, wanted and latest version of each library', () => {
+			const declared = [new Dependency('alpha', '^1.0.0'), new Dependency('beta', '1.2.0')];
+			return outdatedLibraries(installed, cloud, declared)
+				.then(report => {
+					expect(report).to.deep.equal([
+						{ name: 'alpha', current: '1.0.0', wanted: '1.1.0', latest: '2.0.0', range: '^1.0.0', outdated: true },
+						{ name: 'beta', current: '1.2.0', wanted: '1.2.0', latest: '1.2.0', range: '1.2.0', outdated: false },
+						{ name: 'private', current: '0.1.0', wanted: '0.1.0', latest: undefined, range: undefined, outdated: false }
+					]);
+					expect(cloud.versions).to.have.been.calledWith('alpha');
+				});
+		});
+
+		it('wants the current version of libraries without a declared range', () => {
+			return outdatedLibraries(installed, cloud)
+				.then(report => {
+					expect(report[0]).to.include({ name: 'alpha', current: '1.0.0', wanted: '1.0.0', latest: '2.0.0' });
+				});
+		});
+
+		it('does not report libraries newer than the latest version in the repo as outdated', () => {
+			cloud.versions = sinon.stub().resolves(['0.9.0', '0.5.0']);
+			return outdatedLibraries(installed, cloud)
+				.then(report => {
+					expect(report.map(library => [library.name, library.latest, library.outdated])).to.deep.equal([
+						['alpha', '0.9.0', false],
+						['beta', '0.9.0', false],
+						['private', '0.9.0', true]
+					]);
+				});
+		});
+
+		it('fails when the repo cannot list the versions of a library', () => {
+			cloud.versions = sinon.stub().rejects(new Error('offline'));
+			return expect(outdatedLibraries(installed, cloud)).to.be.rejectedWith('offline');
+		});
+	});
+
+	describe('upgradeLibrary', () => {
+		let libDir;
+		let cloud;
+		let copyTo;
+
+		function cloudLib(version) {
+			return {
+				definition: () => Promise.resolve({ name: 'alpha', version }),
+				copyTo: (dir) => copyTo(dir, version)
+			};
+		}
+
+		function readProject() {
+			return fs.readFileSync(path.join(projectDir, projectProperties), 'utf8');
+		}
+
+		beforeEach(() => {
+			libDir = path.join(projectDir, 'lib');
+			fs.mkdirSync(libDir);
+			writeLib(libDir, 'alpha', '1.0.0');
+			copyTo = (dir, version) => {
+				writeLib(path.dirname(dir), 'alpha', version);
+				return Promise.resolve();
+			};
+			cloud = {
+				fetch: sinon.spy((name, range) => {
+					const version = highestMatchingVersion(['2.0.0', '1.2.0', '1.1.0', '1.0.0'], range);
+					if (!version) {
+						return Promise.reject(new LibraryNotFoundError(cloud, name));
+					}
+					return Promise.resolve(cloudLib(version));
+				})
+			};
+		});
+
+		it('installs the highest version matching the range and updates project.properties', () => {
+			return upgradeLibrary(projectDir, cloud, 'alpha', '^1.0.0')
+				.then(report => {
+					expect(report).to.deep.equal({ name: 'alpha', previous: '1.0.0', version: '1.2.0', sha256: undefined });
+					expect(cloud.fetch).to.have.been.calledWith('alpha', '^1.0.0');
+					expect(fs.readFileSync(libFile('alpha', 'alpha.cpp'), 'utf8')).to.equal('// alpha 1.2.0');
+					expect(readProject()).to.contain('dependencies.alpha=1.2.0').and.not.contain('1.0.0');
+					expect(readProject()).to.contain('name=myproject');
+					expect(fs.readdirSync(libDir)).to.deep.equal(['alpha']);
+				});
+		});
+		it('upgrades a library stored in a directory with another name', () => {
+			fs.renameSync(path.join(libDir, 'alpha'), path.join(libDir, 'vendored-alpha'));
+			copyTo = (dir, version) => {
+				fs.mkdirSync(dir);
+				fs.writeFileSync(path.join(dir, 'library.properties'), `name=alpha\nversion=${version}\n`);
+				return Promise.resolve();
+			};
+			return upgradeLibrary(projectDir, cloud, 'alpha', '^1.0.0')
+				.then(report => {
+					expect(report.previous).to.equal('1.0.0');
+					expect(fs.readFileSync(path.join(libDir, 'vendored-alpha', 'library.properties'), 'utf8'))
+						.to.contain('version=1.2.0');
+					expect(fs.existsSync(path.join(libDir, 'alpha'))).to.be.false;
+				});
+		});
+
+		it('keeps the backup in a hidden directory that is not listed as a library', () => {
+			const target = new FileSystemLibraryRepository(libDir);
+			let entries;
+			let names;
+			copyTo = (dir, version) => {
+				entries = fs.readdirSync(libDir);
+				writeLib(path.dirname(dir), 'alpha', version);
+				return target.names().then(result => {
+					names = result;
+				});
+			};
+			return upgradeLibrary(projectDir, cloud, 'alpha', '^1.0.0')
+				.then(() => {
+					expect(entries).to.have.length(1);
+					expect(entries[0]).to.match(new RegExp(`^\\.alpha\\.${process.pid}\\.\\d+\\.old$`));
+					expect(names).to.deep.equal(['alpha']);
+				});
+		});
+
+		it('upgrades from a repo that cannot list versions', () => {
+			const repoDir = tmp.dirSync({ unsafeCleanup: true }).name;
+			writeLib(repoDir, 'alpha', '1.1.0');
+			return upgradeLibrary(projectDir, new FileSystemLibraryRepository(repoDir), 'alpha', '^1.0.0')
+				.then(report => {
+					expect(report.version).to.equal('1.1.0');
+					expect(fs.readFileSync(libFile('alpha', 'alpha.cpp'), 'utf8')).to.equal('// alpha 1.1.0');
+				});
+		});
+
+		it('fails when no version satisfies the range', () => {
+			return expect(upgradeLibrary(projectDir, cloud, 'alpha', '^3.0.0')).to.eventually
+				.be.rejectedWith('no version of library alpha satisfies ^3.0.0')
+				.then(() => {
+					expect(fs.readFileSync(libFile('alpha', 'alpha.cpp'), 'utf8')).to.equal('// alpha 1.0.0');
+				});
+		});
+
+		it('restores the previous library and project.properties when extraction fails', () => {
+			const before = readProject();
+			copyTo = (dir) => {
+				fs.mkdirSync(dir);
+				fs.writeFileSync(path.join(dir, 'partial.cpp'), '');
+				return Promise.reject(new Error('disk full'));
+			};
+			return upgradeLibrary(projectDir, cloud, 'alpha', '^1.0.0')
+				.then(() => {
+					throw new Error('expected upgrade to fail');
+				}, error => {
+					expect(error.message).to.equal('unable to upgrade library alpha: disk full');
+					expect(fs.readFileSync(libFile('alpha', 'alpha.cpp'), 'utf8')).to.equal('// alpha 1.0.0');
+					expect(fs.existsSync(libFile('alpha', 'partial.cpp'))).to.be.false;
+					expect(fs.readdirSync(libDir)).to.deep.equal(['alpha']);
+					expect(readProject()).to.equal(before);
+				});
+		});
+	});
+});